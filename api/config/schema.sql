@@ -17,6 +17,25 @@ CREATE TABLE IF NOT EXISTS users (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Role-based access: student, class_rep, faculty or admin; disabled accounts can't sign in
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'student'
+    CHECK (role IN ('student', 'class_rep', 'faculty', 'admin'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP WITH TIME ZONE;
+-- Carried in access tokens; bumping it ends every session of the user
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+
+-- Email verification; accounts created before it existed count as verified
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name = 'email_verified_at'
+    ) THEN
+        ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP WITH TIME ZONE;
+        UPDATE users SET email_verified_at = created_at;
+    END IF;
+END $$;
+
 -- Sources table (uploaded documents)
 CREATE TABLE IF NOT EXISTS sources (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -28,11 +47,21 @@ CREATE TABLE IF NOT EXISTS sources (
     page_count INTEGER,
     tags TEXT[] DEFAULT '{}',
     upload_status VARCHAR(50) DEFAULT 'pending',
+    content_hash VARCHAR(64), -- SHA-256 of the file bytes, for exact duplicate detection
+    text_simhash BIGINT, -- SimHash of the extracted text, for near-duplicate detection
+    duplicate_of UUID REFERENCES sources(id) ON DELETE SET NULL, -- closest existing source in the user's library
+    duplicate_similarity REAL, -- 1.0 for identical files
     processed_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Add duplicate detection columns to existing installations
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS text_simhash BIGINT;
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS duplicate_of UUID REFERENCES sources(id) ON DELETE SET NULL;
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS duplicate_similarity REAL;
+
 -- Document chunks table (for vector search)
 CREATE TABLE IF NOT EXISTS doc_chunks (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -40,8 +69,60 @@ CREATE TABLE IF NOT EXISTS doc_chunks (
     chunk_text TEXT NOT NULL,
     chunk_index INTEGER NOT NULL,
     token_count INTEGER NOT NULL,
-    embedding VECTOR(1536), -- OpenAI ada-002 embedding dimension
+    embedding VECTOR, -- dimension depends on the embedding model, see embedding_dim
+    embedding_model VARCHAR(255), -- model that produced the embedding
+    embedding_dim INTEGER, -- embedding dimension, used by the per-dimension indexes
     metadata JSONB DEFAULT '{}',
+    search_text TEXT, -- chunk text with Thai words space-separated; NULL when no segmentation is needed
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', COALESCE(search_text, chunk_text))) STORED, -- keyword search
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Add keyword search columns to existing installations
+ALTER TABLE doc_chunks ADD COLUMN IF NOT EXISTS search_text TEXT;
+
+-- Older installations indexed chunk_text directly; rebuild the column to index search_text
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM pg_attrdef d
+        JOIN pg_attribute a ON a.attrelid = d.adrelid AND a.attnum = d.adnum
+        WHERE d.adrelid = 'doc_chunks'::regclass AND a.attname = 'search_vector'
+          AND pg_get_expr(d.adbin, d.adrelid) NOT LIKE '%search_text%'
+    ) THEN
+        ALTER TABLE doc_chunks DROP COLUMN search_vector;
+    END IF;
+END $$;
+
+ALTER TABLE doc_chunks ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (to_tsvector('english', COALESCE(search_text, chunk_text))) STORED;
+
+-- Record embedding model and dimension on existing installations
+ALTER TABLE doc_chunks ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(255);
+ALTER TABLE doc_chunks ADD COLUMN IF NOT EXISTS embedding_dim INTEGER;
+
+-- Older installations stored fixed VECTOR(1536) ada-002 embeddings
+DO $$
+BEGIN
+    IF (SELECT format_type(atttypid, atttypmod) FROM pg_attribute
+        WHERE attrelid = 'doc_chunks'::regclass AND attname = 'embedding') = 'vector(1536)' THEN
+        DROP INDEX IF EXISTS idx_doc_chunks_embedding;
+        ALTER TABLE doc_chunks ALTER COLUMN embedding TYPE VECTOR;
+        UPDATE doc_chunks SET embedding_model = 'text-embedding-ada-002', embedding_dim = 1536
+        WHERE embedding IS NOT NULL AND embedding_model IS NULL;
+    END IF;
+END $$;
+
+-- Figures (embedded images) extracted from uploaded PDFs
+CREATE TABLE IF NOT EXISTS source_figures (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source_id UUID NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+    page_number INTEGER NOT NULL,
+    figure_index INTEGER NOT NULL, -- order of the figure on its page
+    caption TEXT, -- "Figure 3. ..." line from the same page, when one was found
+    file_path VARCHAR(1000) NOT NULL, -- relative to the figures directory
+    width INTEGER,
+    height INTEGER,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -54,7 +135,23 @@ CREATE TABLE IF NOT EXISTS study_sets (
     topics TEXT[] NOT NULL,
     difficulty_level INTEGER DEFAULT 1, -- 1-5 scale
     generated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    status VARCHAR(50) DEFAULT 'active'
+    status VARCHAR(50) DEFAULT 'active' -- 'generating' while its generation job runs, 'active', 'failed'
+);
+
+-- Sources a study set was generated from (empty means all of the user's documents)
+ALTER TABLE study_sets ADD COLUMN IF NOT EXISTS source_ids UUID[] DEFAULT '{}';
+
+-- Study set summaries in Markdown; regenerating adds a version and the highest one is current
+CREATE TABLE IF NOT EXISTS study_set_summaries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    study_set_id UUID NOT NULL REFERENCES study_sets(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    sections JSONB DEFAULT '[]', -- [{ title, level, anchor, topic, content }] split at headings
+    word_count INTEGER,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (study_set_id, version)
 );
 
 -- Flashcards table
@@ -72,6 +169,9 @@ CREATE TABLE IF NOT EXISTS flashcards (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Chunks the flashcard was drawn from (ids of doc_chunks rows)
+ALTER TABLE flashcards ADD COLUMN IF NOT EXISTS source_chunk_ids UUID[] NOT NULL DEFAULT '{}';
+
 -- Multiple choice questions table
 CREATE TABLE IF NOT EXISTS mcqs (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -89,6 +189,23 @@ CREATE TABLE IF NOT EXISTS mcqs (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+ALTER TABLE mcqs ADD COLUMN IF NOT EXISTS source_chunk_ids UUID[] NOT NULL DEFAULT '{}';
+
+-- Quality checks flag doubtful generated items for review (uncited, answer_not_in_source, short_question)
+ALTER TABLE flashcards ADD COLUMN IF NOT EXISTS quality_flags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE mcqs ADD COLUMN IF NOT EXISTS quality_flags TEXT[] NOT NULL DEFAULT '{}';
+
+-- Generated items rejected by quality checks or by a reviewer, kept for analytics
+CREATE TABLE IF NOT EXISTS generation_rejections (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    study_set_id UUID REFERENCES study_sets(id) ON DELETE SET NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('flashcard', 'mcq')),
+    reasons TEXT[] NOT NULL,
+    item JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- User responses and performance tracking
 CREATE TABLE IF NOT EXISTS user_responses (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -141,16 +258,209 @@ CREATE TABLE IF NOT EXISTS notifications (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- "Ask my notes" conversation threads
+CREATE TABLE IF NOT EXISTS conversations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(500) NOT NULL,
+    source_ids UUID[] DEFAULT '{}', -- optional restriction to specific sources
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS conversation_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL, -- 'user' or 'assistant'
+    content TEXT NOT NULL,
+    citations JSONB DEFAULT '[]', -- [{ marker, chunkId, sourceId, chunkIndex, pageRange }]
+    answered BOOLEAN DEFAULT true, -- false when the answer was refused for lack of sources
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Groups (a class or cohort) whose members share sources and study sets
+CREATE TABLE IF NOT EXISTS study_groups (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS group_members (
+    group_id UUID NOT NULL REFERENCES study_groups(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'member', -- 'owner', 'admin', 'member'
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (group_id, user_id)
+);
+
+-- Sources and study sets shared with a group, read-only or editable by its members
+CREATE TABLE IF NOT EXISTS source_shares (
+    source_id UUID NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+    group_id UUID NOT NULL REFERENCES study_groups(id) ON DELETE CASCADE,
+    permission VARCHAR(10) NOT NULL DEFAULT 'read', -- 'read' or 'edit'
+    shared_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (source_id, group_id)
+);
+
+CREATE TABLE IF NOT EXISTS study_set_shares (
+    study_set_id UUID NOT NULL REFERENCES study_sets(id) ON DELETE CASCADE,
+    group_id UUID NOT NULL REFERENCES study_groups(id) ON DELETE CASCADE,
+    permission VARCHAR(10) NOT NULL DEFAULT 'read', -- 'read' or 'edit'
+    shared_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (study_set_id, group_id)
+);
+
+-- Per-user SM-2 state for flashcards and MCQs, so members reviewing a shared study set
+-- each keep their own schedule. Items without a row here use the item's initial values.
+CREATE TABLE IF NOT EXISTS item_reviews (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    item_id UUID NOT NULL, -- references flashcards or mcqs
+    item_type VARCHAR(20) NOT NULL, -- 'flashcard' or 'mcq'
+    difficulty INTEGER NOT NULL,
+    interval_days INTEGER NOT NULL,
+    ease_factor DECIMAL(3,2) NOT NULL,
+    due_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_reviewed TIMESTAMP WITH TIME ZONE,
+    review_count INTEGER DEFAULT 0,
+    PRIMARY KEY (user_id, item_id, item_type)
+);
+
+-- SM-2 state used to live on the items themselves; carry the owners' reviews over once
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM item_reviews) THEN
+        INSERT INTO item_reviews (user_id, item_id, item_type, difficulty, interval_days, ease_factor, due_at, last_reviewed, review_count)
+        SELECT s.user_id, f.id, 'flashcard', f.difficulty, f.interval_days, f.ease_factor, f.due_at, f.last_reviewed, f.review_count
+        FROM flashcards f JOIN study_sets s ON f.study_set_id = s.id
+        WHERE f.review_count > 0;
+
+        INSERT INTO item_reviews (user_id, item_id, item_type, difficulty, interval_days, ease_factor, due_at, last_reviewed, review_count)
+        SELECT s.user_id, m.id, 'mcq', m.difficulty, m.interval_days, m.ease_factor, m.due_at, m.last_reviewed, m.review_count
+        FROM mcqs m JOIN study_sets s ON m.study_set_id = s.id
+        WHERE m.review_count > 0;
+    END IF;
+END $$;
+
+-- item_id can't reference two tables, so review state is removed with its item by trigger
+-- (this covers items deleted on their own and with their study set)
+CREATE OR REPLACE FUNCTION delete_item_reviews()
+RETURNS TRIGGER AS $$
+BEGIN
+    DELETE FROM item_reviews WHERE item_id = OLD.id AND item_type = TG_ARGV[0];
+    RETURN OLD;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS delete_flashcard_reviews ON flashcards;
+CREATE TRIGGER delete_flashcard_reviews AFTER DELETE ON flashcards
+    FOR EACH ROW EXECUTE FUNCTION delete_item_reviews('flashcard');
+
+DROP TRIGGER IF EXISTS delete_mcq_reviews ON mcqs;
+CREATE TRIGGER delete_mcq_reviews AFTER DELETE ON mcqs
+    FOR EACH ROW EXECUTE FUNCTION delete_item_reviews('mcq');
+
+-- Review state left behind by items deleted before the triggers existed
+DELETE FROM item_reviews r
+WHERE (r.item_type = 'flashcard' AND NOT EXISTS (SELECT 1 FROM flashcards f WHERE f.id = r.item_id))
+   OR (r.item_type = 'mcq' AND NOT EXISTS (SELECT 1 FROM mcqs m WHERE m.id = r.item_id));
+
+-- Background jobs (upload processing and other long-running work)
+CREATE TABLE IF NOT EXISTS jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    type VARCHAR(100) NOT NULL, -- e.g. 'process_upload'
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    source_id UUID REFERENCES sources(id) ON DELETE CASCADE,
+    payload JSONB DEFAULT '{}',
+    status VARCHAR(50) DEFAULT 'queued', -- 'queued', 'running', 'completed', 'failed', 'cancelled'
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 5,
+    run_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- next eligible run (exponential backoff)
+    locked_at TIMESTAMP WITH TIME ZONE, -- worker heartbeat while running
+    locked_by VARCHAR(255),
+    progress JSONB DEFAULT '{}', -- { stage, current, total, message }
+    result JSONB,
+    last_error TEXT,
+    error_details JSONB, -- { code, stage, message } of the last failure
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS error_details JSONB;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS cancel_requested_at TIMESTAMP WITH TIME ZONE;
+
+-- Resumable uploads in progress (large files sent in chunks)
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    file_name VARCHAR(500) NOT NULL,
+    title VARCHAR(500),
+    file_size BIGINT NOT NULL,
+    mime_type VARCHAR(255),
+    file_type VARCHAR(50) NOT NULL,
+    checksum VARCHAR(64) NOT NULL, -- SHA-256 declared by the client, checked on completion
+    tags TEXT[] DEFAULT '{}',
+    bytes_received BIGINT DEFAULT 0,
+    status VARCHAR(50) DEFAULT 'uploading', -- 'uploading', 'verifying', 'verified', 'completed'
+    source_id UUID REFERENCES sources(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Refresh tokens, stored as SHA-256 hashes. Each sign-in starts a family; every refresh
+-- replaces the token with a new one in the same family.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    family_id UUID NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    replaced_by UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+    user_agent TEXT,
+    ip_address VARCHAR(64),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create indexes for performance
 CREATE INDEX IF NOT EXISTS idx_doc_chunks_source_id ON doc_chunks(source_id);
-CREATE INDEX IF NOT EXISTS idx_doc_chunks_embedding ON doc_chunks USING ivfflat (embedding vector_cosine_ops);
+CREATE INDEX IF NOT EXISTS idx_sources_content_hash ON sources(content_hash);
+CREATE INDEX IF NOT EXISTS idx_source_figures_source_id ON source_figures(source_id, page_number);
+-- Vector indexes are per dimension; the re-embedding job creates one for new dimensions
+CREATE INDEX IF NOT EXISTS idx_doc_chunks_embedding_1536 ON doc_chunks
+    USING ivfflat ((embedding::vector(1536)) vector_cosine_ops) WHERE embedding_dim = 1536;
+CREATE INDEX IF NOT EXISTS idx_doc_chunks_embedding_model ON doc_chunks(embedding_model, embedding_dim);
+CREATE INDEX IF NOT EXISTS idx_doc_chunks_search_vector ON doc_chunks USING GIN (search_vector);
 CREATE INDEX IF NOT EXISTS idx_flashcards_due_at ON flashcards(due_at);
 CREATE INDEX IF NOT EXISTS idx_mcqs_due_at ON mcqs(due_at);
+CREATE INDEX IF NOT EXISTS idx_flashcards_source_chunk_ids ON flashcards USING GIN (source_chunk_ids);
+CREATE INDEX IF NOT EXISTS idx_mcqs_source_chunk_ids ON mcqs USING GIN (source_chunk_ids);
+CREATE INDEX IF NOT EXISTS idx_generation_rejections_created_at ON generation_rejections(created_at);
 CREATE INDEX IF NOT EXISTS idx_user_responses_user_id ON user_responses(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_responses_created_at ON user_responses(created_at);
 CREATE INDEX IF NOT EXISTS idx_topic_performance_user_id ON topic_performance(user_id);
 CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id);
 CREATE INDEX IF NOT EXISTS idx_notifications_status ON notifications(status);
+CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_source_id ON jobs(source_id);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_user_id ON upload_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires_at ON upload_sessions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires_at ON refresh_tokens(expires_at);
+CREATE INDEX IF NOT EXISTS idx_group_members_user_id ON group_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_source_shares_group_id ON source_shares(group_id);
+CREATE INDEX IF NOT EXISTS idx_study_set_shares_group_id ON study_set_shares(group_id);
+CREATE INDEX IF NOT EXISTS idx_item_reviews_item ON item_reviews(item_id, item_type);
+CREATE INDEX IF NOT EXISTS idx_item_reviews_user_due ON item_reviews(user_id, due_at);
+CREATE INDEX IF NOT EXISTS idx_conversations_user_id ON conversations(user_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation_id ON conversation_messages(conversation_id);
 
 -- Create updated_at trigger function
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -7,22 +7,30 @@ const uploadRoutes = require('./src/routes/upload');
 const studyPackRoutes = require('./src/routes/studyPack');
 const schedulerRoutes = require('./src/routes/scheduler');
 const authRoutes = require('./src/routes/auth');
+const askRoutes = require('./src/routes/ask');
+const groupRoutes = require('./src/routes/groups');
+const adminRoutes = require('./src/routes/admin');
 const { initializeDatabase } = require('./src/models/database');
 const { startScheduler } = require('./src/services/scheduler');
+const { startJobWorker, stopJobWorker } = require('./src/services/jobQueue');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Files never come in JSON bodies: large ones use the resumable upload endpoints
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: process.env.JSON_BODY_LIMIT || '1mb' }));
 
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/study-pack', studyPackRoutes);
 app.use('/api/scheduler', schedulerRoutes);
+app.use('/api/ask', askRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -63,6 +71,10 @@ async function startServer() {
     // Start the scheduler for automated tasks
     startScheduler();
     console.log('✅ Scheduler started successfully');
+
+    // Start the background job worker (recovers jobs left running by a previous process)
+    await startJobWorker();
+    console.log('✅ Job worker started successfully');
     
     app.listen(PORT, () => {
       console.log(`🚀 RAMSC Info Services API running on port ${PORT}`);
@@ -77,11 +89,13 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n🛑 Shutting down gracefully...');
+  stopJobWorker();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
   console.log('\n🛑 Shutting down gracefully...');
+  stopJobWorker();
   process.exit(0);
 });
 
@@ -0,0 +1,30 @@
+// Re-embed stored chunks after changing EMBEDDINGS_PROVIDER / EMBEDDINGS_MODEL.
+// Usage: npm run reembed [-- --source <sourceId>] [-- --batch-size 50]
+require('dotenv').config();
+
+const { reembedCorpus, getEmbeddingStatus } = require('../src/services/reembedService');
+const { closeDatabase } = require('../src/models/database');
+
+const getArg = (name) => {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+async function main() {
+  try {
+    const status = await getEmbeddingStatus();
+    console.log('📊 Embedding status:', JSON.stringify(status, null, 2));
+
+    await reembedCorpus({
+      sourceId: getArg('--source') || null,
+      batchSize: parseInt(getArg('--batch-size')) || 100
+    });
+  } catch (error) {
+    console.error('❌ Re-embedding failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main();
@@ -0,0 +1,34 @@
+// Set a user's role, e.g. to create the first admin.
+// Usage: npm run set-role -- <email> <student|class_rep|faculty|admin>
+require('dotenv').config();
+
+const { query, closeDatabase } = require('../src/models/database');
+const { ROLES } = require('../src/middleware/auth');
+
+async function main() {
+  const [email, role] = process.argv.slice(2);
+
+  try {
+    if (!email || !ROLES.includes(role)) {
+      throw new Error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+    }
+
+    const result = await query(
+      'UPDATE users SET role = $1, updated_at = NOW() WHERE LOWER(email) = LOWER($2) RETURNING id, email, role',
+      [role, email]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`No user with email ${email}`);
+    }
+
+    console.log(`✅ ${result.rows[0].email} is now ${result.rows[0].role}`);
+  } catch (error) {
+    console.error('❌ Setting role failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main();
@@ -1,24 +1,49 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../models/database');
 
-// JWT middleware for authentication
-const authenticateToken = async (req, res, next) => {
+// Roles in increasing order of privilege; stored on users.role and carried in the JWT
+const ROLES = ['student', 'class_rep', 'faculty', 'admin'];
+
+// Verify an access token. Single-purpose tokens (email verification, ...) are signed with
+// a purpose claim and audience and are never accepted as access tokens.
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose || decoded.aud) {
+    throw new jwt.JsonWebTokenError('not an access token');
+  }
+  return decoded;
+};
+
+// Stream tokens only open progress streams: EventSource can't set headers, so the token
+// goes in the URL, where it may be logged by proxies. They last a minute.
+const STREAM_TOKEN_AUDIENCE = 'stream';
+const STREAM_TOKEN_EXPIRES_IN = '60s';
+
+const verifyStreamToken = (token) => {
+  return jwt.verify(token, process.env.JWT_SECRET, { audience: STREAM_TOKEN_AUDIENCE });
+};
+
+const bearerToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+};
+
+// Build JWT middleware around decodeToken(req), which returns the verified token
+// payload or null when the request carries no token
+const createAuthMiddleware = (decodeToken) => async (req, res, next) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    // Verify JWT token
+    const decoded = decodeToken(req);
 
-    if (!token) {
+    if (!decoded) {
       return res.status(401).json({ 
         error: 'Access token required' 
       });
     }
-
-    // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
     // Fetch user from database
     const userResult = await query(
-      'SELECT id, email, full_name, student_id, year_of_study, preferences FROM users WHERE id = $1',
+      'SELECT id, email, full_name, student_id, year_of_study, preferences, role, disabled_at, token_version FROM users WHERE id = $1',
       [decoded.userId]
     );
 
@@ -28,6 +53,19 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (userResult.rows[0].disabled_at) {
+      return res.status(403).json({
+        error: 'Account disabled'
+      });
+    }
+
+    // Logging out of all devices (or changing the password) bumps the token version
+    if ((decoded.tokenVersion || 0) !== userResult.rows[0].token_version) {
+      return res.status(401).json({
+        error: 'Session revoked'
+      });
+    }
+
     // Attach user info to request
     req.user = userResult.rows[0];
     req.userId = decoded.userId;
@@ -52,19 +90,56 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Generate JWT token
-const generateToken = (userId, email) => {
+// JWT middleware for authentication
+const authenticateToken = createAuthMiddleware((req) => {
+  const token = bearerToken(req);
+  return token ? verifyAccessToken(token) : null;
+});
+
+// Authentication for streaming endpoints: an access token in the Authorization header,
+// or a stream token (see generateStreamToken) as ?token= for EventSource clients
+const authenticateStream = createAuthMiddleware((req) => {
+  const token = bearerToken(req);
+  if (token) {
+    return verifyAccessToken(token);
+  }
+  return req.query.token ? verifyStreamToken(String(req.query.token)) : null;
+});
+
+// Restrict a route to the given roles (use after authenticateToken). The role is read
+// from the database on each request, so role changes apply without a new token.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      error: 'Insufficient permissions'
+    });
+  }
+  next();
+};
+
+// Generate a short-lived access token (renewed with a refresh token, see sessionService)
+const generateToken = (userId, email, role = 'student', tokenVersion = 0) => {
+  return jwt.sign(
+    { userId, email, role, tokenVersion },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+// Generate a stream token for ?token= on streaming endpoints. It carries the token version,
+// so logging out of all devices revokes it like an access token.
+const generateStreamToken = (userId, tokenVersion = 0) => {
   return jwt.sign(
-    { userId, email },
+    { userId, tokenVersion, purpose: 'stream' },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+    { expiresIn: STREAM_TOKEN_EXPIRES_IN, audience: STREAM_TOKEN_AUDIENCE }
   );
 };
 
 // Verify token without middleware (for internal use)
 const verifyToken = (token) => {
   try {
-    return jwt.verify(token, process.env.JWT_SECRET);
+    return verifyAccessToken(token);
   } catch (error) {
     return null;
   }
@@ -77,13 +152,14 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = verifyAccessToken(token);
       const userResult = await query(
-        'SELECT id, email, full_name, student_id, year_of_study, preferences FROM users WHERE id = $1',
+        'SELECT id, email, full_name, student_id, year_of_study, preferences, role, disabled_at, token_version FROM users WHERE id = $1',
         [decoded.userId]
       );
 
-      if (userResult.rows.length > 0) {
+      const user = userResult.rows[0];
+      if (user && !user.disabled_at && (decoded.tokenVersion || 0) === user.token_version) {
         req.user = userResult.rows[0];
         req.userId = decoded.userId;
       }
@@ -97,8 +173,12 @@ const optionalAuth = async (req, res, next) => {
 };
 
 module.exports = {
+  ROLES,
   authenticateToken,
+  requireRole,
+  authenticateStream,
   generateToken,
+  generateStreamToken,
   verifyToken,
   optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,36 @@
+// Checks for ids and dates taken from requests. Postgres rejects a malformed uuid or
+// timestamp with a cast error, so routes check them first and answer 400 instead of 500.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ISO 8601 date, or date and time with an optional offset (2024-03-01, 2024-03-01T08:00:00Z)
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const isUuid = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+
+// Date.parse accepts days past the end of the month (2024-02-30); Postgres doesn't
+const isIsoDate = (value) => {
+  if (typeof value !== 'string' || !ISO_DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+    return false;
+  }
+  const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+// Reject the request with 400 unless each named route parameter is a uuid
+const validateIdParams = (...names) => (req, res, next) => {
+  const invalid = names.find(name => !isUuid(req.params[name]));
+  if (invalid) {
+    return res.status(400).json({
+      error: `${invalid} must be a valid id`
+    });
+  }
+  next();
+};
+
+module.exports = {
+  isUuid,
+  isIsoDate,
+  validateIdParams
+};
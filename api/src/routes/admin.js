@@ -0,0 +1,392 @@
+const express = require('express');
+const { authenticateToken, requireRole, ROLES } = require('../middleware/auth');
+const { isUuid } = require('../middleware/validation');
+const { query } = require('../models/database');
+const { formatJob } = require('../services/jobQueue');
+const { runDailyScheduler, generateWeeklyReports } = require('../services/scheduler');
+const { recalculateRollingAccuracy } = require('../services/sm2Algorithm');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole('admin'));
+
+// Scheduler tasks an admin can re-run for one user
+const SCHEDULER_TASKS = {
+  daily: (userId) => runDailyScheduler(userId, true),
+  'weekly-report': (userId) => generateWeeklyReports(userId),
+  'topic-performance': async (userId) => {
+    await recalculateRollingAccuracy(userId);
+    return { processed: 1, failed: [] };
+  }
+};
+
+const USER_COLUMNS = 'id, email, full_name, student_id, year_of_study, role, disabled_at, created_at';
+
+const MAX_LIST_LIMIT = 200;
+
+// Page size from ?limit=, defaulting to 50 and kept within 1..MAX_LIST_LIMIT
+const parseLimit = (limit) => Math.min(Math.max(parseInt(limit) || 50, 1), MAX_LIST_LIMIT);
+
+// Every /users/:userId route needs a well-formed id
+router.param('userId', (req, res, next, userId) => {
+  if (!isUuid(userId)) {
+    return res.status(400).json({
+      error: 'userId must be a valid id'
+    });
+  }
+  next();
+});
+
+// List users
+router.get('/users', async (req, res) => {
+  try {
+    const { role, status, q } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = parseLimit(req.query.limit);
+    const conditions = [];
+    const params = [];
+
+    if (role) {
+      params.push(role);
+      conditions.push(`role = $${params.length}`);
+    }
+    if (status === 'active') {
+      conditions.push('disabled_at IS NULL');
+    } else if (status === 'disabled') {
+      conditions.push('disabled_at IS NOT NULL');
+    }
+    if (q) {
+      params.push(`%${q}%`);
+      conditions.push(`(email ILIKE $${params.length} OR full_name ILIKE $${params.length} OR student_id ILIKE $${params.length})`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const offset = (page - 1) * limit;
+
+    const [result, countResult] = await Promise.all([
+      query(`
+        SELECT ${USER_COLUMNS},
+               (SELECT COUNT(*) FROM sources s WHERE s.user_id = users.id) as source_count,
+               (SELECT MAX(created_at) FROM user_responses ur WHERE ur.user_id = users.id) as last_active_at
+        FROM users
+        ${whereClause}
+        ORDER BY created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      query(`SELECT COUNT(*) as total FROM users ${whereClause}`, params)
+    ]);
+
+    res.json({
+      users: result.rows.map(user => ({
+        ...user,
+        source_count: parseInt(user.source_count)
+      })),
+      pagination: {
+        page,
+        limit,
+        total: parseInt(countResult.rows[0].total),
+        totalPages: Math.ceil(countResult.rows[0].total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin users list error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch users'
+    });
+  }
+});
+
+// Change a user's role
+router.patch('/users/:userId', async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    // Keep at least the acting admin in place
+    if (req.params.userId === req.userId && role !== 'admin') {
+      return res.status(400).json({
+        error: 'You cannot remove your own admin role'
+      });
+    }
+
+    const result = await query(
+      `UPDATE users SET role = $1, updated_at = NOW() WHERE id = $2 RETURNING ${USER_COLUMNS}`,
+      [role, req.params.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      message: 'User role updated',
+      user: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Admin role update error:', error);
+    res.status(500).json({
+      error: 'Failed to update user role'
+    });
+  }
+});
+
+// Disable an account; the user's tokens stop working on their next request
+router.post('/users/:userId/disable', async (req, res) => {
+  try {
+    if (req.params.userId === req.userId) {
+      return res.status(400).json({
+        error: 'You cannot disable your own account'
+      });
+    }
+
+    const result = await query(
+      `UPDATE users SET disabled_at = COALESCE(disabled_at, NOW()), updated_at = NOW() WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+      [req.params.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      message: 'Account disabled',
+      user: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Admin disable user error:', error);
+    res.status(500).json({
+      error: 'Failed to disable account'
+    });
+  }
+});
+
+router.post('/users/:userId/enable', async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE users SET disabled_at = NULL, updated_at = NOW() WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+      [req.params.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      message: 'Account enabled',
+      user: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Admin enable user error:', error);
+    res.status(500).json({
+      error: 'Failed to enable account'
+    });
+  }
+});
+
+// Uploads whose processing failed, with the error from their latest job
+router.get('/uploads/failed', async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+
+    const result = await query(`
+      SELECT s.id, s.title, s.file_type, s.file_size, s.created_at, s.processed_at,
+             u.id as user_id, u.email as user_email,
+             j.attempts, j.last_error, j.error_details, j.updated_at as failed_at
+      FROM sources s
+      JOIN users u ON s.user_id = u.id
+      LEFT JOIN LATERAL (
+        SELECT attempts, last_error, error_details, updated_at
+        FROM jobs WHERE jobs.source_id = s.id
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) j ON true
+      WHERE s.upload_status = 'failed'
+      ORDER BY COALESCE(j.updated_at, s.created_at) DESC
+      LIMIT $1
+    `, [limit]);
+
+    res.json({
+      uploads: result.rows,
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    console.error('Admin failed uploads error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch failed uploads'
+    });
+  }
+});
+
+// Background jobs across all users (status defaults to failed)
+router.get('/jobs', async (req, res) => {
+  try {
+    const { status = 'failed', type } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const params = [status];
+    let whereClause = 'WHERE j.status = $1';
+
+    if (type) {
+      params.push(type);
+      whereClause += ` AND j.type = $${params.length}`;
+    }
+
+    const result = await query(`
+      SELECT j.*, u.email as user_email
+      FROM jobs j
+      LEFT JOIN users u ON j.user_id = u.id
+      ${whereClause}
+      ORDER BY j.updated_at DESC
+      LIMIT $${params.length + 1}
+    `, [...params, limit]);
+
+    res.json({
+      jobs: result.rows.map(job => ({
+        userId: job.user_id,
+        userEmail: job.user_email,
+        sourceId: job.source_id,
+        ...formatJob(job)
+      })),
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    console.error('Admin jobs list error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch jobs'
+    });
+  }
+});
+
+// Generated item quality over the last `days` days: rejections by reason and items
+// currently flagged for review by flag
+router.get('/generation/quality', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+
+    const [rejections, flags, generated] = await Promise.all([
+      query(`
+        SELECT item_type, reason, COUNT(*) as count
+        FROM generation_rejections, unnest(reasons) as reason
+        WHERE created_at > NOW() - make_interval(days => $1)
+        GROUP BY item_type, reason
+        ORDER BY count DESC
+      `, [days]),
+      query(`
+        SELECT item_type, flag, COUNT(*) as count FROM (
+          SELECT 'flashcard' as item_type, quality_flags, created_at FROM flashcards
+          UNION ALL
+          SELECT 'mcq' as item_type, quality_flags, created_at FROM mcqs
+        ) items, unnest(quality_flags) as flag
+        WHERE created_at > NOW() - make_interval(days => $1)
+        GROUP BY item_type, flag
+        ORDER BY count DESC
+      `, [days]),
+      query(`
+        SELECT
+          (SELECT COUNT(*) FROM flashcards WHERE created_at > NOW() - make_interval(days => $1)) as flashcards,
+          (SELECT COUNT(*) FROM mcqs WHERE created_at > NOW() - make_interval(days => $1)) as mcqs
+      `, [days])
+    ]);
+
+    const toCounts = (rows, key) => rows.map(row => ({
+      itemType: row.item_type,
+      [key]: row[key],
+      count: parseInt(row.count)
+    }));
+
+    res.json({
+      days,
+      generated: {
+        flashcards: parseInt(generated.rows[0].flashcards),
+        mcqs: parseInt(generated.rows[0].mcqs)
+      },
+      rejections: toCounts(rejections.rows, 'reason'),
+      flagged: toCounts(flags.rows, 'flag')
+    });
+
+  } catch (error) {
+    console.error('Admin generation quality error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch generation quality'
+    });
+  }
+});
+
+// Re-run a scheduler task for one user
+router.post('/scheduler/:task', async (req, res) => {
+  try {
+    const { task } = req.params;
+    const { userId } = req.body;
+    const runTask = SCHEDULER_TASKS[task];
+
+    if (!runTask) {
+      return res.status(400).json({
+        error: `task must be one of: ${Object.keys(SCHEDULER_TASKS).join(', ')}`
+      });
+    }
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'userId is required'
+      });
+    }
+
+    if (!isUuid(userId)) {
+      return res.status(400).json({
+        error: 'userId must be a valid id'
+      });
+    }
+
+    const userResult = await query('SELECT id, disabled_at FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+    if (userResult.rows[0].disabled_at) {
+      return res.status(409).json({
+        error: 'Account is disabled'
+      });
+    }
+
+    const result = await runTask(userId);
+
+    if (result.failed.length > 0 || result.error) {
+      return res.status(500).json({
+        error: `Scheduler task ${task} failed for this user`,
+        task,
+        userId
+      });
+    }
+
+    res.json({
+      message: `Scheduler task ${task} completed`,
+      task,
+      userId
+    });
+
+  } catch (error) {
+    console.error('Admin scheduler trigger error:', error);
+    res.status(500).json({
+      error: 'Failed to run scheduler task'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { isUuid, validateIdParams } = require('../middleware/validation');
+const { askQuestion, getConversations, getConversationThread } = require('../services/askService');
+const { query } = require('../models/database');
+
+const router = express.Router();
+
+// Ask a question answered only from the user's uploaded notes
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { question, conversationId, sourceIds = [] } = req.body;
+
+    if (typeof question !== 'string' || question.trim().length === 0) {
+      return res.status(400).json({
+        error: 'question is required'
+      });
+    }
+
+    if (conversationId != null && !isUuid(conversationId)) {
+      return res.status(400).json({
+        error: 'conversationId must be a valid id'
+      });
+    }
+
+    if (!Array.isArray(sourceIds) || !sourceIds.every(isUuid)) {
+      return res.status(400).json({
+        error: 'sourceIds must be an array of source ids'
+      });
+    }
+
+    const result = await askQuestion(req.userId, question.trim(), {
+      conversationId,
+      sourceIds
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Conversation not found'
+      });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Ask question error:', error);
+    res.status(500).json({
+      error: 'Failed to answer question'
+    });
+  }
+});
+
+// List user's conversations
+router.get('/conversations', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const conversations = await getConversations(req.userId, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      conversations,
+      count: conversations.length
+    });
+
+  } catch (error) {
+    console.error('Conversations fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch conversations'
+    });
+  }
+});
+
+// Get a conversation thread with citations
+router.get('/conversations/:conversationId', authenticateToken, validateIdParams('conversationId'), async (req, res) => {
+  try {
+    const conversation = await getConversationThread(req.params.conversationId, req.userId);
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found'
+      });
+    }
+
+    res.json(conversation);
+
+  } catch (error) {
+    console.error('Conversation fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch conversation'
+    });
+  }
+});
+
+// Delete a conversation
+router.delete('/conversations/:conversationId', authenticateToken, validateIdParams('conversationId'), async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+
+    const result = await query(
+      'DELETE FROM conversations WHERE id = $1 AND user_id = $2 RETURNING id',
+      [conversationId, req.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Conversation not found'
+      });
+    }
+
+    res.json({
+      message: 'Conversation deleted successfully',
+      conversationId
+    });
+
+  } catch (error) {
+    console.error('Conversation deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to delete conversation'
+    });
+  }
+});
+
+module.exports = router;
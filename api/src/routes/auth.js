@@ -1,10 +1,34 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const { generateToken, verifyToken } = require('../middleware/auth');
+const { authenticateToken, verifyToken, generateStreamToken } = require('../middleware/auth');
 const { query } = require('../models/database');
+const {
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions
+} = require('../services/sessionService');
+const {
+  REGISTRATION_EMAIL_DOMAINS,
+  isEmailDomainAllowed,
+  validatePassword,
+  verifyEmailToken,
+  getPasswordResetUser,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} = require('../services/accountService');
 
 const router = express.Router();
 
+// When set, accounts can't sign in until their email address is verified
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Device details recorded with each refresh token
+const sessionMeta = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ipAddress: req.ip || null
+});
+
 // Register new user
 router.post('/register', async (req, res) => {
   try {
@@ -16,6 +40,19 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    if (!isEmailDomainAllowed(email)) {
+      return res.status(400).json({
+        error: `Registration is limited to ${REGISTRATION_EMAIL_DOMAINS.map(domain => `@${domain}`).join(', ')} email addresses`
+      });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        error: passwordError
+      });
+    }
+
     // Check if user already exists
     const existingUser = await query(
       'SELECT id FROM users WHERE email = $1',
@@ -36,7 +73,7 @@ router.post('/register', async (req, res) => {
     const userResult = await query(`
       INSERT INTO users (email, password_hash, full_name, student_id, year_of_study, preferences)
       VALUES ($1, $2, $3, $4, $5, $6)
-      RETURNING id, email, full_name, student_id, year_of_study, created_at
+      RETURNING id, email, full_name, student_id, year_of_study, role, token_version, created_at
     `, [
       email,
       hashedPassword,
@@ -51,18 +88,39 @@ router.post('/register', async (req, res) => {
     ]);
 
     const user = userResult.rows[0];
-    const token = generateToken(user.id, user.email);
+
+    // The account exists either way; the user can ask for another email
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+
+    const userResponse = {
+      id: user.id,
+      email: user.email,
+      fullName: user.full_name,
+      studentId: user.student_id,
+      yearOfStudy: user.year_of_study,
+      role: user.role,
+      emailVerified: false
+    };
+
+    if (REQUIRE_EMAIL_VERIFICATION) {
+      return res.status(201).json({
+        message: 'User registered successfully. Check your email to verify your address before signing in.',
+        verificationRequired: true,
+        user: userResponse
+      });
+    }
+
+    const { token, refreshToken } = await issueSession(user, sessionMeta(req));
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
-      user: {
-        id: user.id,
-        email: user.email,
-        fullName: user.full_name,
-        studentId: user.student_id,
-        yearOfStudy: user.year_of_study
-      }
+      refreshToken,
+      user: userResponse
     });
 
   } catch (error) {
@@ -86,7 +144,7 @@ router.post('/login', async (req, res) => {
 
     // Find user
     const userResult = await query(
-      'SELECT id, email, password_hash, full_name, student_id, year_of_study FROM users WHERE email = $1',
+      'SELECT id, email, password_hash, full_name, student_id, year_of_study, role, disabled_at, token_version, email_verified_at FROM users WHERE email = $1',
       [email]
     );
 
@@ -106,18 +164,34 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user.id, user.email);
+    if (user.disabled_at) {
+      return res.status(403).json({
+        error: 'Account disabled'
+      });
+    }
+
+    if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+      return res.status(403).json({
+        error: 'Email not verified',
+        verificationRequired: true
+      });
+    }
+
+    // Start a session
+    const { token, refreshToken } = await issueSession(user, sessionMeta(req));
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user.id,
         email: user.email,
         fullName: user.full_name,
         studentId: user.student_id,
-        yearOfStudy: user.year_of_study
+        yearOfStudy: user.year_of_study,
+        role: user.role,
+        emailVerified: Boolean(user.email_verified_at)
       }
     });
 
@@ -150,7 +224,7 @@ router.get('/validate', async (req, res) => {
 
     // Get user details
     const userResult = await query(
-      'SELECT id, email, full_name, student_id, year_of_study, preferences FROM users WHERE id = $1',
+      'SELECT id, email, full_name, student_id, year_of_study, preferences, role, disabled_at, token_version FROM users WHERE id = $1',
       [decoded.userId]
     );
 
@@ -160,6 +234,18 @@ router.get('/validate', async (req, res) => {
       });
     }
 
+    if (userResult.rows[0].disabled_at) {
+      return res.status(403).json({
+        error: 'Account disabled'
+      });
+    }
+
+    if ((decoded.tokenVersion || 0) !== userResult.rows[0].token_version) {
+      return res.status(401).json({
+        error: 'Session revoked'
+      });
+    }
+
     const user = userResult.rows[0];
     
     res.json({
@@ -170,6 +256,7 @@ router.get('/validate', async (req, res) => {
         fullName: user.full_name,
         studentId: user.student_id,
         yearOfStudy: user.year_of_study,
+        role: user.role,
         preferences: user.preferences
       }
     });
@@ -182,35 +269,297 @@ router.get('/validate', async (req, res) => {
   }
 });
 
-// Refresh token
+// Exchange a refresh token for a new access token; the refresh token is rotated,
+// so clients must store the one returned
 router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'refreshToken is required'
+      });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, sessionMeta(req));
+
+    if (result.error === 'reused') {
+      return res.status(401).json({
+        error: 'Refresh token was already used; please sign in again'
+      });
+    }
+    if (result.error) {
+      return res.status(401).json({
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      error: 'Failed to refresh token'
+    });
+  }
+});
+
+// Log out this device
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'refreshToken is required'
+      });
+    }
+
+    // Unknown or already revoked tokens are fine: the device is logged out either way
+    await revokeRefreshToken(refreshToken);
+
+    res.json({
+      message: 'Logged out'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Failed to logout'
+    });
+  }
+});
+
+// Short-lived token for ?token= on progress streams (EventSource can't send the
+// Authorization header, and URLs end up in logs)
+router.post('/stream-token', authenticateToken, async (req, res) => {
+  res.json({
+    streamToken: generateStreamToken(req.userId, req.user.token_version),
+    expiresIn: 60
+  });
+});
+
+// Log out every device, including access tokens that haven't expired yet
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeAllSessions(req.userId);
+
+    res.json({
+      message: 'Logged out of all devices'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      error: 'Failed to logout of all devices'
+    });
+  }
+});
+
+// Confirm an email address from the link in the verification email
+router.post('/verify-email', async (req, res) => {
   try {
     const { token } = req.body;
 
     if (!token) {
       return res.status(400).json({
-        error: 'Token is required'
+        error: 'token is required'
       });
     }
 
-    const decoded = verifyToken(token);
-    if (!decoded) {
+    const user = await verifyEmailToken(token);
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid or expired verification link'
+      });
+    }
+
+    res.json({
+      message: 'Email verified',
+      email: user.email
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      error: 'Failed to verify email'
+    });
+  }
+});
+
+// Send another verification email. The response doesn't reveal whether the address
+// has an account.
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'Email is required'
+      });
+    }
+
+    const userResult = await query(
+      'SELECT id, email, full_name FROM users WHERE email = $1 AND email_verified_at IS NULL AND disabled_at IS NULL',
+      [email]
+    );
+
+    // Sent in the background so neither errors nor timing give away whether the account exists
+    if (userResult.rows.length > 0) {
+      sendVerificationEmail(userResult.rows[0]).catch(error => {
+        console.error('Verification email error:', error);
+      });
+    }
+
+    res.json({
+      message: 'If that address needs verifying, a new link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Failed to send verification email'
+    });
+  }
+});
+
+// Email a password reset link. The response doesn't reveal whether the address has an account.
+router.post('/password-reset/request', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'Email is required'
+      });
+    }
+
+    const userResult = await query(
+      'SELECT id, email, full_name, password_hash FROM users WHERE email = $1 AND disabled_at IS NULL',
+      [email]
+    );
+
+    // Sent in the background so neither errors nor timing give away whether the account exists
+    if (userResult.rows.length > 0) {
+      sendPasswordResetEmail(userResult.rows[0]).catch(error => {
+        console.error('Password reset email error:', error);
+      });
+    }
+
+    res.json({
+      message: 'If that address has an account, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({
+      error: 'Failed to request password reset'
+    });
+  }
+});
+
+// Set a new password from a reset link; every existing session is signed out
+router.post('/password-reset/confirm', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        error: 'token and password are required'
+      });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        error: passwordError
+      });
+    }
+
+    const user = await getPasswordResetUser(token);
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid or expired reset link'
+      });
+    }
+
+    // Following the emailed link also proves the address
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await query(`
+      UPDATE users
+      SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+      WHERE id = $2
+    `, [hashedPassword, user.id]);
+    await revokeAllSessions(user.id);
+
+    res.json({
+      message: 'Password reset successfully. Please sign in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Password reset confirm error:', error);
+    res.status(500).json({
+      error: 'Failed to reset password'
+    });
+  }
+});
+
+// Change the password while signed in. Other devices are signed out; this one gets new tokens.
+router.post('/change-password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        error: 'currentPassword and newPassword are required'
+      });
+    }
+
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({
+        error: passwordError
+      });
+    }
+
+    const userResult = await query(
+      'SELECT id, email, role, password_hash FROM users WHERE id = $1',
+      [req.userId]
+    );
+    const user = userResult.rows[0];
+
+    const isValid = await bcrypt.compare(currentPassword, user.password_hash);
+    if (!isValid) {
       return res.status(401).json({
-        error: 'Invalid token'
+        error: 'Current password is incorrect'
       });
     }
 
-    // Generate new token
-    const newToken = generateToken(decoded.userId, decoded.email);
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await query(
+      'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+      [hashedPassword, user.id]
+    );
+    const tokenVersion = await revokeAllSessions(user.id);
+
+    const { token, refreshToken } = await issueSession(
+      { ...user, token_version: tokenVersion },
+      sessionMeta(req)
+    );
 
     res.json({
-      token: newToken
+      message: 'Password changed successfully',
+      token,
+      refreshToken
     });
 
   } catch (error) {
-    console.error('Token refresh error:', error);
+    console.error('Change password error:', error);
     res.status(500).json({
-      error: 'Failed to refresh token'
+      error: 'Failed to change password'
     });
   }
 });
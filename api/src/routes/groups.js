@@ -0,0 +1,401 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { isUuid, validateIdParams } = require('../middleware/validation');
+const {
+  GROUP_ROLES,
+  SHARE_PERMISSIONS,
+  createGroup,
+  getUserGroups,
+  getMemberRole,
+  getGroup,
+  updateGroup,
+  deleteGroup,
+  addGroupMember,
+  updateMemberRole,
+  removeGroupMember,
+  shareWithGroup,
+  unshareFromGroup,
+  getGroupLibrary
+} = require('../services/groupService');
+const { query } = require('../models/database');
+
+const router = express.Router();
+
+// Group owners and admins manage members and shares; any member can share their own
+// sources and study packs with the group.
+const MANAGER_ROLES = ['owner', 'admin'];
+
+// Look up the user's role in the group (req.groupRole); non-members, and ids that can't
+// name a group, get a 404
+const requireMembership = async (req, res, next) => {
+  try {
+    const role = isUuid(req.params.groupId) && await getMemberRole(req.params.groupId, req.userId);
+    if (!role) {
+      return res.status(404).json({
+        error: 'Group not found'
+      });
+    }
+
+    req.groupRole = role;
+    next();
+  } catch (error) {
+    console.error('Group membership check error:', error);
+    res.status(500).json({
+      error: 'Failed to check group membership'
+    });
+  }
+};
+
+const requireManager = (req, res, next) => {
+  if (!MANAGER_ROLES.includes(req.groupRole)) {
+    return res.status(403).json({
+      error: 'Only group owners and admins can do this'
+    });
+  }
+  next();
+};
+
+// Create a group; the creator becomes its owner
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > 255) {
+      return res.status(400).json({
+        error: 'name must be a non-empty string of at most 255 characters'
+      });
+    }
+
+    const group = await createGroup(req.userId, { name: name.trim(), description });
+
+    res.status(201).json({
+      message: 'Group created successfully',
+      group
+    });
+
+  } catch (error) {
+    console.error('Group creation error:', error);
+    res.status(500).json({
+      error: 'Failed to create group'
+    });
+  }
+});
+
+// List the user's groups
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const groups = await getUserGroups(req.userId);
+
+    res.json({
+      groups,
+      count: groups.length
+    });
+
+  } catch (error) {
+    console.error('Groups fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch groups'
+    });
+  }
+});
+
+// Group details with members
+router.get('/:groupId', authenticateToken, requireMembership, async (req, res) => {
+  try {
+    const group = await getGroup(req.params.groupId);
+
+    res.json({
+      ...group,
+      role: req.groupRole
+    });
+
+  } catch (error) {
+    console.error('Group details error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch group'
+    });
+  }
+});
+
+router.patch('/:groupId', authenticateToken, requireMembership, requireManager, async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0 || name.length > 255)) {
+      return res.status(400).json({
+        error: 'name must be a non-empty string of at most 255 characters'
+      });
+    }
+
+    const group = await updateGroup(req.params.groupId, {
+      name: name === undefined ? undefined : name.trim(),
+      description
+    });
+
+    res.json({
+      message: 'Group updated successfully',
+      group
+    });
+
+  } catch (error) {
+    console.error('Group update error:', error);
+    res.status(500).json({
+      error: 'Failed to update group'
+    });
+  }
+});
+
+// Delete a group (owner only); shared sources and study packs stay with their owners
+router.delete('/:groupId', authenticateToken, requireMembership, async (req, res) => {
+  try {
+    if (req.groupRole !== 'owner') {
+      return res.status(403).json({
+        error: 'Only the group owner can delete the group'
+      });
+    }
+
+    await deleteGroup(req.params.groupId);
+
+    res.json({
+      message: 'Group deleted successfully',
+      groupId: req.params.groupId
+    });
+
+  } catch (error) {
+    console.error('Group deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to delete group'
+    });
+  }
+});
+
+// Add a member by email
+router.post('/:groupId/members', authenticateToken, requireMembership, requireManager, async (req, res) => {
+  try {
+    const { email, role = 'member' } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'email is required'
+      });
+    }
+
+    // Ownership isn't handed out through invitations
+    if (!GROUP_ROLES.includes(role) || role === 'owner') {
+      return res.status(400).json({
+        error: 'role must be admin or member'
+      });
+    }
+
+    const result = await addGroupMember(req.params.groupId, email, role);
+
+    if (result.error === 'not_found') {
+      return res.status(404).json({
+        error: 'No user with that email'
+      });
+    }
+    if (result.error === 'already_member') {
+      return res.status(409).json({
+        error: 'User is already a member of this group'
+      });
+    }
+
+    res.status(201).json({
+      message: 'Member added successfully',
+      member: result.member
+    });
+
+  } catch (error) {
+    console.error('Group member add error:', error);
+    res.status(500).json({
+      error: 'Failed to add member'
+    });
+  }
+});
+
+// Change a member's role (owner only)
+router.patch('/:groupId/members/:userId', authenticateToken, requireMembership, validateIdParams('userId'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (req.groupRole !== 'owner') {
+      return res.status(403).json({
+        error: 'Only the group owner can change roles'
+      });
+    }
+
+    if (!GROUP_ROLES.includes(role) || role === 'owner') {
+      return res.status(400).json({
+        error: 'role must be admin or member'
+      });
+    }
+
+    const member = await updateMemberRole(req.params.groupId, req.params.userId, role);
+    if (!member) {
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    res.json({
+      message: 'Member role updated',
+      member
+    });
+
+  } catch (error) {
+    console.error('Group member update error:', error);
+    res.status(500).json({
+      error: 'Failed to update member'
+    });
+  }
+});
+
+// Remove a member, or leave the group (the owner can't leave)
+router.delete('/:groupId/members/:userId', authenticateToken, requireMembership, validateIdParams('userId'), async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+    const leaving = userId === req.userId;
+
+    if (!leaving && !MANAGER_ROLES.includes(req.groupRole)) {
+      return res.status(403).json({
+        error: 'Only group owners and admins can remove members'
+      });
+    }
+
+    // Admins can't remove other admins
+    if (!leaving && req.groupRole === 'admin' && await getMemberRole(groupId, userId) === 'admin') {
+      return res.status(403).json({
+        error: 'Only the group owner can remove admins'
+      });
+    }
+
+    const removed = await removeGroupMember(groupId, userId);
+    if (!removed) {
+      return res.status(leaving ? 409 : 404).json({
+        error: leaving ? 'The group owner cannot leave; delete the group instead' : 'Member not found'
+      });
+    }
+
+    res.json({
+      message: leaving ? 'Left the group' : 'Member removed',
+      groupId,
+      userId
+    });
+
+  } catch (error) {
+    console.error('Group member removal error:', error);
+    res.status(500).json({
+      error: 'Failed to remove member'
+    });
+  }
+});
+
+// Sources and study packs shared with the group
+router.get('/:groupId/library', authenticateToken, requireMembership, async (req, res) => {
+  try {
+    const library = await getGroupLibrary(req.params.groupId);
+
+    res.json({
+      groupId: req.params.groupId,
+      sources: library.sources,
+      studyPacks: library.studySets
+    });
+
+  } catch (error) {
+    console.error('Group library error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch group library'
+    });
+  }
+});
+
+// Share one of the user's sources or study packs with the group, or change its permission
+const shareHandler = (kind, idField, label) => async (req, res) => {
+  try {
+    const itemId = req.body[idField];
+    const { permission = 'read' } = req.body;
+
+    if (!itemId) {
+      return res.status(400).json({
+        error: `${idField} is required`
+      });
+    }
+
+    if (!isUuid(itemId)) {
+      return res.status(400).json({
+        error: `${idField} must be a valid id`
+      });
+    }
+
+    if (!SHARE_PERMISSIONS.includes(permission)) {
+      return res.status(400).json({
+        error: `permission must be one of: ${SHARE_PERMISSIONS.join(', ')}`
+      });
+    }
+
+    const share = await shareWithGroup(kind, itemId, req.params.groupId, req.userId, permission);
+    if (!share) {
+      return res.status(404).json({
+        error: `${label} not found in your library`
+      });
+    }
+
+    res.status(201).json({
+      message: `${label} shared with the group`,
+      groupId: req.params.groupId,
+      [idField]: itemId,
+      permission: share.permission
+    });
+
+  } catch (error) {
+    console.error(`${label} share error:`, error);
+    res.status(500).json({
+      error: `Failed to share ${label.toLowerCase()}`
+    });
+  }
+};
+
+// Stop sharing: the item's owner, or a group owner or admin
+const unshareHandler = (kind, table, paramName, label) => async (req, res) => {
+  try {
+    const itemId = req.params[paramName];
+
+    if (!MANAGER_ROLES.includes(req.groupRole)) {
+      const ownerResult = await query(
+        `SELECT id FROM ${table} WHERE id = $1 AND user_id = $2`,
+        [itemId, req.userId]
+      );
+      if (ownerResult.rows.length === 0) {
+        return res.status(403).json({
+          error: `Only the ${label.toLowerCase()}'s owner or a group admin can stop sharing it`
+        });
+      }
+    }
+
+    const removed = await unshareFromGroup(kind, itemId, req.params.groupId);
+    if (!removed) {
+      return res.status(404).json({
+        error: `${label} is not shared with this group`
+      });
+    }
+
+    res.json({
+      message: `${label} is no longer shared with the group`,
+      groupId: req.params.groupId
+    });
+
+  } catch (error) {
+    console.error(`${label} unshare error:`, error);
+    res.status(500).json({
+      error: `Failed to unshare ${label.toLowerCase()}`
+    });
+  }
+};
+
+router.post('/:groupId/sources', authenticateToken, requireMembership, shareHandler('source', 'sourceId', 'Source'));
+router.delete('/:groupId/sources/:sourceId', authenticateToken, requireMembership, validateIdParams('sourceId'), unshareHandler('source', 'sources', 'sourceId', 'Source'));
+
+router.post('/:groupId/study-packs', authenticateToken, requireMembership, shareHandler('studySet', 'studyPackId', 'Study pack'));
+router.delete('/:groupId/study-packs/:studyPackId', authenticateToken, requireMembership, validateIdParams('studyPackId'), unshareHandler('studySet', 'study_sets', 'studyPackId', 'Study pack'));
+
+module.exports = router;
@@ -1,15 +1,48 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
-const { generateStudyPack, getStudyPacks, getStudyPackDetails } = require('../services/studyPackGenerator');
-const { query } = require('../models/database');
+const {
+  enqueueStudyPackGeneration,
+  enqueueSummaryRegeneration,
+  getGenerationJob,
+  GENERATION_JOB_TYPES_SQL,
+  getStudyPacks,
+  getStudyPackDetails,
+  attachItemSources
+} = require('../services/studyPackGenerator');
+const {
+  formatSummary,
+  getSummary,
+  listSummaryVersions,
+  compareSummaryVersions
+} = require('../services/summaryService');
+const { cancelJob, formatJob } = require('../services/jobQueue');
+const { SEARCH_MODES } = require('../services/uploadProcessor');
+const { reviewItemsSql, updateSM2Algorithm } = require('../services/sm2Algorithm');
+const { getAccess, canEdit } = require('../services/groupService');
+const { recordRejections } = require('../services/itemQuality');
+const { query, withTransaction } = require('../models/database');
 
 const router = express.Router();
 
+// Shape a generation job for API responses: the study pack it is filling in,
+// which parts are stored so far, and the finished pack's summary once done
+const formatGenerationJob = (job) => {
+  const progress = job.progress || {};
+  return {
+    ...formatJob(job),
+    studyPackId: progress.studySetId || null,
+    completedParts: progress.completed || [],
+    flashcardsCount: progress.flashcardsCount || 0,
+    mcqsCount: progress.mcqsCount || 0,
+    summary: job.result?.summary || null
+  };
+};
+
 // Flow 2: Generate Study Pack
-// Manually trigger study pack generation
+// Queue study pack generation; poll GET /jobs/:jobId for progress
 router.post('/generate', authenticateToken, async (req, res) => {
   try {
-    const { topics = [], sourceIds = [], difficulty = 2 } = req.body;
+    const { topics = [], sourceIds = [], difficulty = 2, searchMode } = req.body;
 
     if (topics.length === 0 && sourceIds.length === 0) {
       return res.status(400).json({
@@ -17,22 +50,117 @@ router.post('/generate', authenticateToken, async (req, res) => {
       });
     }
 
-    const result = await generateStudyPack(req.userId, {
+    if (searchMode && !SEARCH_MODES.includes(searchMode)) {
+      return res.status(400).json({
+        error: `searchMode must be one of: ${SEARCH_MODES.join(', ')}`
+      });
+    }
+
+    const job = await enqueueStudyPackGeneration(req.userId, {
       topics,
       sourceIds,
       difficulty,
-      manualGeneration: true
+      searchMode
     });
 
-    res.json({
-      message: 'Study pack generated successfully',
-      studyPack: result
+    res.status(202).json({
+      message: 'Study pack generation queued',
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/study-pack/jobs/${job.id}`
     });
 
   } catch (error) {
     console.error('Study pack generation error:', error);
     res.status(500).json({
-      error: 'Failed to generate study pack'
+      error: 'Failed to queue study pack generation'
+    });
+  }
+});
+
+// List the user's study pack generation jobs
+router.get('/jobs', authenticateToken, async (req, res) => {
+  try {
+    const { status, limit = 20 } = req.query;
+
+    let whereClause = `WHERE user_id = $1 AND type IN (${GENERATION_JOB_TYPES_SQL})`;
+    const params = [req.userId];
+
+    if (status) {
+      whereClause += ' AND status = $2';
+      params.push(status);
+    }
+
+    const result = await query(`
+      SELECT * FROM jobs
+      ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT $${params.length + 1}
+    `, [...params, parseInt(limit)]);
+
+    res.json({
+      jobs: result.rows.map(formatGenerationJob),
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    console.error('Generation jobs list error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch generation jobs'
+    });
+  }
+});
+
+// Generation status, progress and partial results
+router.get('/jobs/:jobId', authenticateToken, async (req, res) => {
+  try {
+    const job = await getGenerationJob(req.params.jobId, req.userId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Generation job not found'
+      });
+    }
+
+    res.json(formatGenerationJob(job));
+
+  } catch (error) {
+    console.error('Generation job status error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch generation status'
+    });
+  }
+});
+
+// Cancel a queued or running generation. A running one stops at its next step,
+// and its partly generated study pack is removed.
+router.post('/jobs/:jobId/cancel', authenticateToken, async (req, res) => {
+  try {
+    const job = await getGenerationJob(req.params.jobId, req.userId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Generation job not found'
+      });
+    }
+
+    const cancelled = await cancelJob(job.id);
+    if (!cancelled) {
+      return res.status(409).json({
+        error: `Generation already ${job.status}`,
+        status: job.status
+      });
+    }
+
+    res.status(cancelled.status === 'cancelled' ? 200 : 202).json({
+      message: cancelled.status === 'cancelled' ? 'Generation cancelled' : 'Cancellation requested',
+      ...formatGenerationJob(cancelled)
+    });
+
+  } catch (error) {
+    console.error('Generation cancel error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel generation'
     });
   }
 });
@@ -90,38 +218,41 @@ router.get('/:studyPackId', authenticateToken, async (req, res) => {
 router.get('/:studyPackId/flashcards', authenticateToken, async (req, res) => {
   try {
     const { studyPackId } = req.params;
-    const { dueOnly = false, limit = 50 } = req.query;
+    const { dueOnly = false, flagged = false, limit = 50 } = req.query;
 
+    // Due dates come from the user's own review schedule
     let whereClause = 'WHERE f.study_set_id = $1';
-    const params = [studyPackId];
+    const params = [studyPackId, req.userId];
 
     if (dueOnly === 'true') {
       whereClause += ' AND f.due_at <= NOW()';
     }
 
-    // Verify user owns this study pack
-    const ownerCheck = await query(
-      'SELECT id FROM study_sets WHERE id = $1 AND user_id = $2',
-      [studyPackId, req.userId]
-    );
+    // Only items the quality checks flagged for review
+    if (flagged === 'true') {
+      whereClause += ' AND cardinality(f.quality_flags) > 0';
+    }
 
-    if (ownerCheck.rows.length === 0) {
+    // Verify the user owns this study pack or it is shared with one of their groups
+    const access = await getAccess('studySet', studyPackId, req.userId);
+
+    if (!access) {
       return res.status(404).json({
         error: 'Study pack not found'
       });
     }
 
     const result = await query(`
-      SELECT f.*, 
+      SELECT f.*,
              CASE WHEN f.due_at <= NOW() THEN true ELSE false END as is_due
-      FROM flashcards f
+      FROM (${reviewItemsSql('$2', 'flashcard')}) f
       ${whereClause}
       ORDER BY f.due_at ASC, f.difficulty DESC
       LIMIT $${params.length + 1}
     `, [...params, parseInt(limit)]);
 
     res.json({
-      flashcards: result.rows,
+      flashcards: await attachItemSources(result.rows, req.userId),
       total: result.rows.length
     });
 
@@ -137,22 +268,25 @@ router.get('/:studyPackId/flashcards', authenticateToken, async (req, res) => {
 router.get('/:studyPackId/mcqs', authenticateToken, async (req, res) => {
   try {
     const { studyPackId } = req.params;
-    const { dueOnly = false, limit = 50 } = req.query;
+    const { dueOnly = false, flagged = false, limit = 50 } = req.query;
 
+    // Due dates come from the user's own review schedule
     let whereClause = 'WHERE m.study_set_id = $1';
-    const params = [studyPackId];
+    const params = [studyPackId, req.userId];
 
     if (dueOnly === 'true') {
       whereClause += ' AND m.due_at <= NOW()';
     }
 
-    // Verify user owns this study pack
-    const ownerCheck = await query(
-      'SELECT id FROM study_sets WHERE id = $1 AND user_id = $2',
-      [studyPackId, req.userId]
-    );
+    // Only items the quality checks flagged for review
+    if (flagged === 'true') {
+      whereClause += ' AND cardinality(m.quality_flags) > 0';
+    }
+
+    // Verify the user owns this study pack or it is shared with one of their groups
+    const access = await getAccess('studySet', studyPackId, req.userId);
 
-    if (ownerCheck.rows.length === 0) {
+    if (!access) {
       return res.status(404).json({
         error: 'Study pack not found'
       });
@@ -161,14 +295,14 @@ router.get('/:studyPackId/mcqs', authenticateToken, async (req, res) => {
     const result = await query(`
       SELECT m.*,
              CASE WHEN m.due_at <= NOW() THEN true ELSE false END as is_due
-      FROM mcqs m
+      FROM (${reviewItemsSql('$2', 'mcq')}) m
       ${whereClause}
       ORDER BY m.due_at ASC, m.difficulty DESC
       LIMIT $${params.length + 1}
     `, [...params, parseInt(limit)]);
 
     res.json({
-      mcqs: result.rows,
+      mcqs: await attachItemSources(result.rows, req.userId),
       total: result.rows.length
     });
 
@@ -180,6 +314,149 @@ router.get('/:studyPackId/mcqs', authenticateToken, async (req, res) => {
   }
 });
 
+// Get a study pack's summary (the current version, or ?version=n) as Markdown with its sections
+router.get('/:studyPackId/summary', authenticateToken, async (req, res) => {
+  try {
+    const { studyPackId } = req.params;
+    const version = req.query.version ? parseInt(req.query.version) : null;
+
+    if (req.query.version && !(version > 0)) {
+      return res.status(400).json({
+        error: 'version must be a positive integer'
+      });
+    }
+
+    const access = await getAccess('studySet', studyPackId, req.userId);
+    if (!access) {
+      return res.status(404).json({
+        error: 'Study pack not found'
+      });
+    }
+
+    const summary = await getSummary(studyPackId, version);
+    if (!summary) {
+      return res.status(404).json({
+        error: version ? `Summary version ${version} not found` : 'This study pack has no summary yet'
+      });
+    }
+
+    res.json({
+      studyPackId,
+      ...formatSummary(summary)
+    });
+
+  } catch (error) {
+    console.error('Summary fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch summary'
+    });
+  }
+});
+
+// List a study pack's summary versions, newest first
+router.get('/:studyPackId/summary/versions', authenticateToken, async (req, res) => {
+  try {
+    const { studyPackId } = req.params;
+
+    const access = await getAccess('studySet', studyPackId, req.userId);
+    if (!access) {
+      return res.status(404).json({
+        error: 'Study pack not found'
+      });
+    }
+
+    const versions = await listSummaryVersions(studyPackId);
+
+    res.json({
+      studyPackId,
+      versions,
+      count: versions.length
+    });
+
+  } catch (error) {
+    console.error('Summary versions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch summary versions'
+    });
+  }
+});
+
+// Compare two summary versions section by section (?from=1&to=2; to defaults to the current one)
+router.get('/:studyPackId/summary/compare', authenticateToken, async (req, res) => {
+  try {
+    const { studyPackId } = req.params;
+    const from = parseInt(req.query.from);
+    const to = req.query.to ? parseInt(req.query.to) : null;
+
+    if (!(from > 0) || (req.query.to && !(to > 0))) {
+      return res.status(400).json({
+        error: 'from (and to, if given) must be positive integers'
+      });
+    }
+
+    const access = await getAccess('studySet', studyPackId, req.userId);
+    if (!access) {
+      return res.status(404).json({
+        error: 'Study pack not found'
+      });
+    }
+
+    const comparison = await compareSummaryVersions(studyPackId, from, to);
+    if (!comparison) {
+      return res.status(404).json({
+        error: 'Summary version not found'
+      });
+    }
+
+    res.json({
+      studyPackId,
+      format: 'markdown',
+      ...comparison
+    });
+
+  } catch (error) {
+    console.error('Summary compare error:', error);
+    res.status(500).json({
+      error: 'Failed to compare summaries'
+    });
+  }
+});
+
+// Queue a new summary version (the owner, or group members with edit permission);
+// poll GET /jobs/:jobId for progress
+router.post('/:studyPackId/summary/regenerate', authenticateToken, async (req, res) => {
+  try {
+    const { studyPackId } = req.params;
+
+    const access = await getAccess('studySet', studyPackId, req.userId);
+    if (!access) {
+      return res.status(404).json({
+        error: 'Study pack not found'
+      });
+    }
+    if (!canEdit(access)) {
+      return res.status(403).json({
+        error: 'This study pack is shared with you read-only'
+      });
+    }
+
+    const job = await enqueueSummaryRegeneration(studyPackId, req.userId);
+
+    res.status(202).json({
+      message: 'Summary regeneration queued',
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/study-pack/jobs/${job.id}`
+    });
+
+  } catch (error) {
+    console.error('Summary regeneration error:', error);
+    res.status(500).json({
+      error: 'Failed to queue summary regeneration'
+    });
+  }
+});
+
 // Submit response to flashcard/MCQ
 router.post('/response', authenticateToken, async (req, res) => {
   try {
@@ -198,15 +475,21 @@ router.post('/response', authenticateToken, async (req, res) => {
       });
     }
 
-    // Verify the item belongs to the user
+    if (!['flashcard', 'mcq'].includes(itemType)) {
+      return res.status(400).json({
+        error: "itemType must be 'flashcard' or 'mcq'"
+      });
+    }
+
+    // Verify the item is in a study pack the user owns or that is shared with them
     const tableName = itemType === 'flashcard' ? 'flashcards' : 'mcqs';
-    const ownerCheck = await query(`
-      SELECT i.id FROM ${tableName} i
-      JOIN study_sets s ON i.study_set_id = s.id
-      WHERE i.id = $1 AND s.user_id = $2
-    `, [itemId, req.userId]);
+    const itemResult = await query(
+      `SELECT study_set_id FROM ${tableName} WHERE id = $1`,
+      [itemId]
+    );
+    const access = itemResult.rows[0] && await getAccess('studySet', itemResult.rows[0].study_set_id, req.userId);
 
-    if (ownerCheck.rows.length === 0) {
+    if (!access) {
       return res.status(404).json({
         error: 'Item not found or access denied'
       });
@@ -218,9 +501,8 @@ router.post('/response', authenticateToken, async (req, res) => {
       VALUES ($1, $2, $3, $4, $5, $6, $7)
     `, [req.userId, itemId, itemType, isCorrect, responseTimeMs, easeRating, sessionId]);
 
-    // Update SM-2 algorithm values
-    const { updateSM2Algorithm } = require('../services/sm2Algorithm');
-    await updateSM2Algorithm(itemId, itemType, isCorrect, easeRating || 3);
+    // Update the user's SM-2 values
+    await updateSM2Algorithm(req.userId, itemId, itemType, isCorrect, easeRating || 3);
 
     res.json({
       message: 'Response recorded successfully',
@@ -236,7 +518,151 @@ router.post('/response', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete study pack
+const REVIEW_ITEM_TABLES = { flashcard: 'flashcards', mcq: 'mcqs' };
+
+// Review a flagged item (the owner, or group members with edit permission): approve
+// clears its quality flags, reject deletes it and records it with the rejections
+router.post('/:studyPackId/items/:itemType/:itemId/review', authenticateToken, async (req, res) => {
+  try {
+    const { studyPackId, itemType, itemId } = req.params;
+    const { action } = req.body;
+    const table = REVIEW_ITEM_TABLES[itemType];
+
+    if (!table) {
+      return res.status(400).json({
+        error: 'itemType must be flashcard or mcq'
+      });
+    }
+
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({
+        error: 'action must be approve or reject'
+      });
+    }
+
+    const access = await getAccess('studySet', studyPackId, req.userId);
+    if (!access) {
+      return res.status(404).json({
+        error: 'Study pack not found'
+      });
+    }
+    if (!canEdit(access)) {
+      return res.status(403).json({
+        error: 'This study pack is shared with you read-only'
+      });
+    }
+
+    if (action === 'approve') {
+      const result = await query(
+        `UPDATE ${table} SET quality_flags = '{}' WHERE id = $1 AND study_set_id = $2 RETURNING *`,
+        [itemId, studyPackId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Item not found'
+        });
+      }
+
+      return res.json({
+        message: 'Item approved',
+        item: result.rows[0]
+      });
+    }
+
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query(
+        `DELETE FROM ${table} WHERE id = $1 AND study_set_id = $2 RETURNING *`,
+        [itemId, studyPackId]
+      );
+      const item = result.rows[0];
+      if (item) {
+        await recordRejections(client, {
+          studySetId: studyPackId,
+          userId: req.userId,
+          itemType,
+          rejected: [{ item, reasons: ['rejected_by_reviewer', ...item.quality_flags] }]
+        });
+      }
+      return item;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Item not found'
+      });
+    }
+
+    res.json({
+      message: 'Item rejected and removed',
+      itemId
+    });
+
+  } catch (error) {
+    console.error('Item review error:', error);
+    res.status(500).json({
+      error: 'Failed to review item'
+    });
+  }
+});
+
+// Rename or re-describe a study pack (the owner, or group members with edit permission)
+router.patch('/:studyPackId', authenticateToken, async (req, res) => {
+  try {
+    const { studyPackId } = req.params;
+    const { title, description, topics } = req.body;
+
+    if (title === undefined && description === undefined && topics === undefined) {
+      return res.status(400).json({
+        error: 'title, description or topics is required'
+      });
+    }
+
+    if (title !== undefined && (typeof title !== 'string' || title.trim().length === 0 || title.length > 500)) {
+      return res.status(400).json({
+        error: 'title must be a non-empty string of at most 500 characters'
+      });
+    }
+
+    if (topics !== undefined && (!Array.isArray(topics) || topics.length === 0 || !topics.every(topic => typeof topic === 'string'))) {
+      return res.status(400).json({
+        error: 'topics must be a non-empty array of strings'
+      });
+    }
+
+    const access = await getAccess('studySet', studyPackId, req.userId);
+    if (!access) {
+      return res.status(404).json({
+        error: 'Study pack not found'
+      });
+    }
+    if (!canEdit(access)) {
+      return res.status(403).json({
+        error: 'This study pack is shared with you read-only'
+      });
+    }
+
+    const result = await query(`
+      UPDATE study_sets
+      SET title = COALESCE($1, title), description = COALESCE($2, description), topics = COALESCE($3, topics)
+      WHERE id = $4
+      RETURNING *
+    `, [title === undefined ? null : title.trim(), description ?? null, topics ?? null, studyPackId]);
+
+    res.json({
+      message: 'Study pack updated successfully',
+      studyPack: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Study pack update error:', error);
+    res.status(500).json({
+      error: 'Failed to update study pack'
+    });
+  }
+});
+
+// Delete study pack (owner only; members of groups it's shared with lose access)
 router.delete('/:studyPackId', authenticateToken, async (req, res) => {
   try {
     const { studyPackId } = req.params;
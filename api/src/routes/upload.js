@@ -1,31 +1,94 @@
 const express = require('express');
 const multer = require('multer');
-const { authenticateToken } = require('../middleware/auth');
-const { processUpload } = require('../services/uploadProcessor');
+const path = require('path');
+const fs = require('fs').promises;
+const { authenticateToken, authenticateStream } = require('../middleware/auth');
+const { isUuid, isIsoDate } = require('../middleware/validation');
+const { createSource, reprocessSource, deleteSource, getSourceChunks, searchChunks, formatChunkCitation, getUploadProgressPercent, SEARCH_MODES, DEFAULT_SEARCH_MODE } = require('../services/uploadProcessor');
+const { jobEvents, getLatestSourceJob, formatJob } = require('../services/jobQueue');
+const { detectFileType, SUPPORTED_FILE_TYPES } = require('../services/extractors');
+const { hashFile, findExactDuplicate } = require('../services/duplicateDetection');
+const { FIGURES_DIR } = require('../services/figureExtractor');
+const {
+  RESUMABLE_MAX_FILE_SIZE, createUploadSession, getUploadSession, appendChunk, finalizeUpload,
+  markUploadCompleted, abortUploadSession, formatUploadSession
+} = require('../services/resumableUpload');
+const { accessConditionSql, accessLevelSql } = require('../services/groupService');
+const { assertPublicUrl } = require('../services/remoteFetch');
 const { query } = require('../models/database');
 
 const router = express.Router();
 
+// The progress stream re-reads the job this often, for workers running in other processes;
+// each read also keeps idle proxies from closing the connection
+const PROGRESS_STREAM_POLL_MS = parseInt(process.env.PROGRESS_STREAM_POLL_MS) || 5000;
+
+// Uploaded files are kept on disk so queued jobs survive restarts
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads');
+
 // Configure multer for file uploads
 const upload = multer({
+  dest: UPLOAD_DIR,
   limits: {
     fileSize: 50 * 1024 * 1024, // 50MB limit
   },
   fileFilter: (req, file, cb) => {
-    // Accept only PDF files
-    if (file.mimetype === 'application/pdf') {
+    // Accept documents (PDF, DOCX, PPTX, Markdown, text, HTML) and SRT/VTT transcripts
+    if (detectFileType({ fileName: file.originalname, mimeType: file.mimetype })) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed'), false);
+      cb(new Error(`Unsupported file type; allowed: ${SUPPORTED_FILE_TYPES.join(', ')}`), false);
     }
   },
 });
 
+// The file may be sent as "file", or as "pdf" by older clients
+const uploadFile = upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'pdf', maxCount: 1 }
+]);
+
+// What to do when the uploaded file is already in the user's library:
+// 'ask' (default) returns 409 with the existing source so the client can offer to link it,
+// 'link' links the existing source instead (adding any new tags), 'upload' keeps a separate copy
+const DUPLICATE_ACTIONS = ['ask', 'link', 'upload'];
+
+// Respond to an exact duplicate upload for the 'ask' and 'link' actions
+const respondToDuplicate = async (res, userId, duplicate, action, tags) => {
+  if (action === 'link') {
+    const result = await query(`
+      UPDATE sources SET tags = ARRAY(SELECT DISTINCT unnest(tags || $1::text[]))
+      WHERE id = $2 AND user_id = $3
+      RETURNING *
+    `, [tags, duplicate.id, userId]);
+    const source = result.rows[0];
+
+    return res.json({
+      message: 'File is already in your library; linked the existing source',
+      sourceId: source.id,
+      linked: true,
+      tags: source.tags,
+      status: source.upload_status
+    });
+  }
+
+  return res.status(409).json({
+    error: 'This file is already in your library',
+    duplicate: {
+      sourceId: duplicate.id,
+      title: duplicate.title,
+      status: duplicate.upload_status,
+      createdAt: duplicate.created_at
+    },
+    options: ['link', 'upload']
+  });
+};
+
 // Flow 1: Upload → Parse → Index
 // Webhook endpoint for upload completion
 router.post('/upload-complete', authenticateToken, async (req, res) => {
   try {
-    const { fileUrl, fileName, fileSize, tags = [] } = req.body;
+    const { fileUrl, fileName, fileSize, mimeType, contentHash, onDuplicate = 'ask', tags = [] } = req.body;
     
     if (!fileUrl || !fileName) {
       return res.status(400).json({
@@ -33,40 +96,58 @@ router.post('/upload-complete', authenticateToken, async (req, res) => {
       });
     }
 
-    // Create source record
-    const sourceResult = await query(`
-      INSERT INTO sources (user_id, title, file_path, file_type, file_size, tags, upload_status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING *
-    `, [
-      req.userId,
-      fileName,
-      fileUrl,
-      'pdf',
-      fileSize || 0,
-      tags,
-      'processing'
-    ]);
+    // The job downloads fileUrl, so it must be a public http(s) address (not a local path)
+    try {
+      await assertPublicUrl(fileUrl);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'fileUrl must be a public http(s) url'
+      });
+    }
 
-    const source = sourceResult.rows[0];
+    if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+      return res.status(400).json({
+        error: `Invalid onDuplicate; expected one of: ${DUPLICATE_ACTIONS.join(', ')}`
+      });
+    }
 
-    // Start async processing
-    processUpload(source.id, fileUrl, req.userId)
-      .then(() => {
-        console.log(`✅ Successfully processed upload: ${source.id}`);
-      })
-      .catch((error) => {
-        console.error(`❌ Failed to process upload ${source.id}:`, error);
-        // Update status to failed
-        query(
-          'UPDATE sources SET upload_status = $1 WHERE id = $2',
-          ['failed', source.id]
-        );
+    // The SHA-256 is optional here: without it duplicates are detected during processing
+    if (contentHash !== undefined && !/^[a-f0-9]{64}$/i.test(contentHash)) {
+      return res.status(400).json({
+        error: 'contentHash must be a hex-encoded SHA-256'
       });
+    }
+
+    const fileType = detectFileType({ fileName, mimeType })
+      || detectFileType({ fileName: fileUrl });
+    if (!fileType) {
+      return res.status(400).json({
+        error: `Unsupported file type; allowed: ${SUPPORTED_FILE_TYPES.join(', ')}`
+      });
+    }
+
+    const normalizedHash = contentHash ? contentHash.toLowerCase() : null;
+    if (normalizedHash && onDuplicate !== 'upload') {
+      const duplicate = await findExactDuplicate(req.userId, normalizedHash);
+      if (duplicate) {
+        return respondToDuplicate(res, req.userId, duplicate, onDuplicate, tags);
+      }
+    }
+
+    // Create source record and queue processing
+    const { source, job } = await createSource(req.userId, {
+      title: fileName,
+      filePath: fileUrl,
+      fileType,
+      fileSize: fileSize || 0,
+      tags,
+      contentHash: normalizedHash
+    });
 
     res.status(202).json({
-      message: 'Upload received and processing started',
+      message: 'Upload received and processing queued',
       sourceId: source.id,
+      jobId: job.id,
       status: 'processing'
     });
 
@@ -78,54 +159,74 @@ router.post('/upload-complete', authenticateToken, async (req, res) => {
   }
 });
 
-// Direct file upload endpoint
-router.post('/file', authenticateToken, upload.single('pdf'), async (req, res) => {
+// Tags sent as a JSON-encoded form field; null when they aren't an array of strings
+const parseTagsField = (tags) => {
+  if (!tags) {
+    return [];
+  }
   try {
-    if (!req.file) {
+    const parsed = JSON.parse(tags);
+    return Array.isArray(parsed) && parsed.every(tag => typeof tag === 'string') ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Direct file upload endpoint. The file multer stored is removed unless a source takes it.
+router.post('/file', authenticateToken, uploadFile, async (req, res) => {
+  const file = req.files && (req.files.file || req.files.pdf)?.[0];
+  let fileTaken = false;
+
+  try {
+    if (!file) {
       return res.status(400).json({
-        error: 'No PDF file provided'
+        error: 'No file provided'
       });
     }
 
-    const { title, tags } = req.body;
-    const fileName = title || req.file.originalname;
-    const parsedTags = tags ? JSON.parse(tags) : [];
+    const { title, tags, onDuplicate = 'ask' } = req.body;
+    const fileName = title || file.originalname;
+    const parsedTags = parseTagsField(tags);
 
-    // Create source record
-    const sourceResult = await query(`
-      INSERT INTO sources (user_id, title, file_path, file_type, file_size, tags, upload_status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING *
-    `, [
-      req.userId,
-      fileName,
-      req.file.path,
-      'pdf',
-      req.file.size,
-      parsedTags,
-      'processing'
-    ]);
-
-    const source = sourceResult.rows[0];
+    if (!parsedTags) {
+      return res.status(400).json({
+        error: 'tags must be a JSON array of strings'
+      });
+    }
 
-    // Process the uploaded file
-    processUpload(source.id, req.file.path, req.userId, req.file.buffer)
-      .then(() => {
-        console.log(`✅ Successfully processed direct upload: ${source.id}`);
-      })
-      .catch((error) => {
-        console.error(`❌ Failed to process direct upload ${source.id}:`, error);
-        query(
-          'UPDATE sources SET upload_status = $1 WHERE id = $2',
-          ['failed', source.id]
-        );
+    if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+      return res.status(400).json({
+        error: `Invalid onDuplicate; expected one of: ${DUPLICATE_ACTIONS.join(', ')}`
       });
+    }
+
+    const contentHash = await hashFile(file.path);
+    if (onDuplicate !== 'upload') {
+      const duplicate = await findExactDuplicate(req.userId, contentHash);
+      if (duplicate) {
+        // The existing source keeps its own copy of the file
+        return respondToDuplicate(res, req.userId, duplicate, onDuplicate, parsedTags);
+      }
+    }
+
+    // Create source record and queue processing
+    const { source, job } = await createSource(req.userId, {
+      title: fileName,
+      filePath: file.path,
+      fileType: detectFileType({ fileName: file.originalname, mimeType: file.mimetype }),
+      fileSize: file.size,
+      tags: parsedTags,
+      contentHash
+    });
+    fileTaken = true;
 
     res.status(202).json({
-      message: 'File uploaded and processing started',
+      message: 'File uploaded and processing queued',
       sourceId: source.id,
+      jobId: job.id,
       fileName: fileName,
-      fileSize: req.file.size,
+      fileType: source.file_type,
+      fileSize: file.size,
       status: 'processing'
     });
 
@@ -134,6 +235,301 @@ router.post('/file', authenticateToken, upload.single('pdf'), async (req, res) =
     res.status(500).json({
       error: 'Failed to process file upload'
     });
+  } finally {
+    if (file && !fileTaken) {
+      await fs.unlink(file.path).catch(() => {});
+    }
+  }
+});
+
+// Resumable uploads for files over the 50MB direct-upload limit (textbooks, scanned atlases):
+// POST /sessions opens one, PUT /sessions/:uploadId sends bytes at the current offset,
+// GET /sessions/:uploadId reports the offset to resume from, and
+// POST /sessions/:uploadId/complete verifies the SHA-256 and queues processing.
+
+// HTTP status for each resumable upload error code
+const UPLOAD_ERROR_STATUS = {
+  OFFSET_MISMATCH: 409,
+  NOT_UPLOADING: 409,
+  CHUNK_IN_PROGRESS: 409,
+  INCOMPLETE: 409,
+  VERIFYING: 409,
+  CHUNK_TOO_LARGE: 413,
+  SIZE_EXCEEDED: 413
+};
+
+router.post('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const { fileName, title, fileSize, mimeType, checksum, tags = [], onDuplicate = 'ask' } = req.body;
+
+    if (!fileName || !Number.isSafeInteger(fileSize) || fileSize <= 0) {
+      return res.status(400).json({
+        error: 'fileName and a positive integer fileSize are required'
+      });
+    }
+
+    if (fileSize > RESUMABLE_MAX_FILE_SIZE) {
+      return res.status(413).json({
+        error: `Files are limited to ${RESUMABLE_MAX_FILE_SIZE} bytes`
+      });
+    }
+
+    if (!checksum || !/^[a-f0-9]{64}$/i.test(checksum)) {
+      return res.status(400).json({
+        error: 'checksum must be the file\'s hex-encoded SHA-256'
+      });
+    }
+
+    if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+      return res.status(400).json({
+        error: `Invalid onDuplicate; expected one of: ${DUPLICATE_ACTIONS.join(', ')}`
+      });
+    }
+
+    const fileType = detectFileType({ fileName, mimeType });
+    if (!fileType) {
+      return res.status(400).json({
+        error: `Unsupported file type; allowed: ${SUPPORTED_FILE_TYPES.join(', ')}`
+      });
+    }
+
+    // A file already in the library doesn't need to be sent at all
+    if (onDuplicate !== 'upload') {
+      const duplicate = await findExactDuplicate(req.userId, checksum.toLowerCase());
+      if (duplicate) {
+        return respondToDuplicate(res, req.userId, duplicate, onDuplicate, tags);
+      }
+    }
+
+    const session = await createUploadSession(req.userId, {
+      fileName, title, fileSize, mimeType, fileType, checksum, tags
+    });
+
+    res.status(201).json(formatUploadSession(session));
+
+  } catch (error) {
+    console.error('Upload session error:', error);
+    res.status(500).json({
+      error: 'Failed to start upload'
+    });
+  }
+});
+
+// Current offset of an upload, to resume after a dropped connection
+router.get('/sessions/:uploadId', authenticateToken, async (req, res) => {
+  try {
+    const session = await getUploadSession(req.params.uploadId, req.userId);
+    if (!session) {
+      return res.status(404).json({
+        error: 'Upload not found'
+      });
+    }
+
+    res.json(formatUploadSession(session));
+
+  } catch (error) {
+    console.error('Upload session status error:', error);
+    res.status(500).json({
+      error: 'Failed to get upload status'
+    });
+  }
+});
+
+// Send a chunk: raw bytes (Content-Type: application/octet-stream) written at the
+// Upload-Offset header, which must equal the bytes received so far
+router.put('/sessions/:uploadId', authenticateToken, async (req, res) => {
+  try {
+    if (!req.is('application/octet-stream')) {
+      return res.status(415).json({
+        error: 'Chunks must be sent as application/octet-stream'
+      });
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isSafeInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        error: 'Upload-Offset header is required'
+      });
+    }
+
+    const session = await getUploadSession(req.params.uploadId, req.userId);
+    if (!session) {
+      return res.status(404).json({
+        error: 'Upload not found'
+      });
+    }
+
+    const newOffset = await appendChunk(session, offset, req);
+
+    res.json({
+      uploadId: session.id,
+      offset: newOffset,
+      fileSize: Number(session.file_size),
+      complete: newOffset === Number(session.file_size)
+    });
+
+  } catch (error) {
+    if (UPLOAD_ERROR_STATUS[error.code]) {
+      return res.status(UPLOAD_ERROR_STATUS[error.code]).json({
+        error: error.message,
+        code: error.code,
+        offset: error.offset
+      });
+    }
+
+    console.error('Upload chunk error:', error);
+    res.status(500).json({
+      error: 'Failed to store upload chunk'
+    });
+  }
+});
+
+// Verify the checksum and queue processing; onDuplicate works as for /file
+router.post('/sessions/:uploadId/complete', authenticateToken, async (req, res) => {
+  try {
+    const { onDuplicate = 'ask' } = req.body;
+
+    if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+      return res.status(400).json({
+        error: `Invalid onDuplicate; expected one of: ${DUPLICATE_ACTIONS.join(', ')}`
+      });
+    }
+
+    const session = await getUploadSession(req.params.uploadId, req.userId);
+    if (!session) {
+      return res.status(404).json({
+        error: 'Upload not found'
+      });
+    }
+
+    const verification = await finalizeUpload(session);
+    if (!verification.valid) {
+      return res.status(422).json({
+        error: 'Checksum mismatch; the upload was discarded, send the file again from offset 0',
+        expected: session.checksum,
+        actual: verification.checksum,
+        offset: 0
+      });
+    }
+
+    if (onDuplicate !== 'upload') {
+      const duplicate = await findExactDuplicate(req.userId, verification.checksum);
+      if (duplicate) {
+        // Linking keeps the existing source's copy; 'ask' keeps this one until the client decides
+        if (onDuplicate === 'link') {
+          await fs.unlink(verification.filePath).catch(() => {});
+          await markUploadCompleted(session.id, duplicate.id);
+        }
+        return respondToDuplicate(res, req.userId, duplicate, onDuplicate, session.tags);
+      }
+    }
+
+    const { source, job } = await createSource(req.userId, {
+      title: session.title,
+      filePath: verification.filePath,
+      fileType: session.file_type,
+      fileSize: Number(session.file_size),
+      tags: session.tags,
+      contentHash: verification.checksum
+    });
+    await markUploadCompleted(session.id, source.id);
+
+    res.status(202).json({
+      message: 'Upload verified and processing queued',
+      sourceId: source.id,
+      jobId: job.id,
+      fileName: session.file_name,
+      fileType: source.file_type,
+      fileSize: Number(session.file_size),
+      status: 'processing'
+    });
+
+  } catch (error) {
+    if (UPLOAD_ERROR_STATUS[error.code]) {
+      return res.status(UPLOAD_ERROR_STATUS[error.code]).json({
+        error: error.message,
+        code: error.code,
+        offset: error.offset
+      });
+    }
+
+    console.error('Upload completion error:', error);
+    res.status(500).json({
+      error: 'Failed to complete upload'
+    });
+  }
+});
+
+// Cancel an unfinished upload and delete the bytes received
+router.delete('/sessions/:uploadId', authenticateToken, async (req, res) => {
+  try {
+    const session = await getUploadSession(req.params.uploadId, req.userId);
+    if (!session) {
+      return res.status(404).json({
+        error: 'Upload not found'
+      });
+    }
+
+    if (session.status === 'completed') {
+      return res.status(409).json({
+        error: 'Upload already completed; delete the source instead',
+        sourceId: session.source_id
+      });
+    }
+
+    await abortUploadSession(session);
+
+    res.json({
+      message: 'Upload cancelled',
+      uploadId: session.id
+    });
+
+  } catch (error) {
+    console.error('Upload cancel error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel upload'
+    });
+  }
+});
+
+// Add a web page (guideline, article) or a PDF by URL; the type is detected from the URL
+router.post('/url', authenticateToken, async (req, res) => {
+  try {
+    const { url, title, tags = [] } = req.body;
+
+    // Only public http(s) addresses; the job checks again before every request it makes
+    let parsedUrl;
+    try {
+      parsedUrl = await assertPublicUrl(url);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'A valid public http(s) url is required'
+      });
+    }
+
+    // A guess from the path until the job asks the server for its Content-Type.
+    // Untitled web pages take the article's title once processed.
+    const { source, job } = await createSource(req.userId, {
+      title: title || parsedUrl.href,
+      filePath: parsedUrl.href,
+      fileType: detectFileType({ fileName: parsedUrl.pathname }) || 'html',
+      fileSize: 0,
+      tags,
+      detectRemoteType: true
+    });
+
+    res.status(202).json({
+      message: 'URL received and processing queued',
+      sourceId: source.id,
+      jobId: job.id,
+      status: 'processing'
+    });
+
+  } catch (error) {
+    console.error('URL ingest error:', error);
+    res.status(500).json({
+      error: 'Failed to add URL'
+    });
   }
 });
 
@@ -144,11 +540,13 @@ router.get('/status/:sourceId', authenticateToken, async (req, res) => {
 
     const result = await query(`
       SELECT s.*, 
-             COUNT(dc.id) as chunk_count
+             COUNT(dc.id) as chunk_count,
+             d.title as duplicate_title
       FROM sources s
       LEFT JOIN doc_chunks dc ON s.id = dc.source_id
-      WHERE s.id = $1 AND s.user_id = $2
-      GROUP BY s.id
+      LEFT JOIN sources d ON s.duplicate_of = d.id
+      WHERE s.id = $1 AND ${accessConditionSql('source', 's', '$2')}
+      GROUP BY s.id, d.title
     `, [sourceId, req.userId]);
 
     if (result.rows.length === 0) {
@@ -158,11 +556,20 @@ router.get('/status/:sourceId', authenticateToken, async (req, res) => {
     }
 
     const source = result.rows[0];
+    const job = await getLatestSourceJob(source.id);
+
     res.json({
       sourceId: source.id,
       title: source.title,
       status: source.upload_status,
       chunkCount: parseInt(source.chunk_count),
+      // Identical (similarity 1) or near-duplicate source already in the library
+      duplicateOf: source.duplicate_of ? {
+        sourceId: source.duplicate_of,
+        title: source.duplicate_title,
+        similarity: source.duplicate_similarity
+      } : null,
+      job: formatJob(job),
       processedAt: source.processed_at,
       createdAt: source.created_at
     });
@@ -175,23 +582,234 @@ router.get('/status/:sourceId', authenticateToken, async (req, res) => {
   }
 });
 
-// List user's uploaded sources
+// Stream processing progress as Server-Sent Events.
+// Events: 'progress' ({ status, stage, current, total, percent, message }) as each stage runs,
+// 'retry' when an attempt fails and is rescheduled, then one of 'completed' (summary) or
+// 'failed' ({ reason: { code, stage, message } }), after which the stream ends.
+// Clients should close their EventSource on the final event, or it will reconnect.
+// EventSource clients authenticate with ?token= and a stream token from POST /api/auth/stream-token.
+router.get('/status/:sourceId/stream', authenticateStream, async (req, res) => {
+  const { sourceId } = req.params;
+  let finished = false;
+  let lastUpdate = null;
+  let pollTimer = null;
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const finish = () => {
+    finished = true;
+    clearInterval(pollTimer);
+    jobEvents.removeListener('update', onJobUpdate);
+    res.end();
+  };
+
+  // Final summary, read after the job completes so URL sources show their page title
+  const sendSummary = async (job) => {
+    const result = await query(`
+      SELECT s.title, s.page_count, s.duplicate_of, s.duplicate_similarity, COUNT(dc.id) as chunk_count
+      FROM sources s
+      LEFT JOIN doc_chunks dc ON s.id = dc.source_id
+      WHERE s.id = $1
+      GROUP BY s.id
+    `, [sourceId]);
+    const source = result.rows[0] || {};
+    const jobResult = (job && job.result) || {};
+
+    sendEvent('completed', {
+      sourceId,
+      title: source.title,
+      status: 'completed',
+      percent: 100,
+      chunkCount: parseInt(source.chunk_count) || 0,
+      pageCount: source.page_count,
+      figureCount: jobResult.figuresCount || 0,
+      reusedFrom: jobResult.reusedFrom || null,
+      duplicateOf: source.duplicate_of ? {
+        sourceId: source.duplicate_of,
+        similarity: source.duplicate_similarity
+      } : null
+    });
+  };
+
+  const sendJob = async (job) => {
+    // Skip updates already sent (the in-process event and the poll can both see one)
+    const updateKey = `${job.id}:${job.status}:${new Date(job.updated_at).getTime()}`;
+    if (finished || updateKey === lastUpdate) {
+      return;
+    }
+    lastUpdate = updateKey;
+
+    const reason = job.error_details || { code: null, stage: null, message: job.last_error };
+
+    if (job.status === 'completed') {
+      await sendSummary(job);
+      finish();
+    } else if (job.status === 'failed') {
+      sendEvent('failed', { sourceId, status: 'failed', reason, attempts: job.attempts });
+      finish();
+    } else if (job.status === 'queued' && job.attempts > 0 && job.last_error) {
+      sendEvent('retry', {
+        sourceId,
+        status: 'queued',
+        reason,
+        attempt: job.attempts,
+        maxAttempts: job.max_attempts,
+        nextRunAt: job.run_at
+      });
+    } else {
+      const progress = job.progress || {};
+      sendEvent('progress', {
+        sourceId,
+        status: job.status,
+        stage: progress.stage || 'queued',
+        current: progress.current ?? null,
+        total: progress.total ?? null,
+        percent: getUploadProgressPercent(progress),
+        message: progress.message || null,
+        attempt: job.attempts
+      });
+    }
+  };
+
+  const onJobUpdate = (job) => {
+    if (job.source_id === sourceId) {
+      sendJob(job).catch(error => console.error('Progress stream error:', error));
+    }
+  };
+
+  try {
+    const sourceResult = await query(
+      `SELECT s.id, s.upload_status FROM sources s WHERE s.id = $1 AND ${accessConditionSql('source', 's', '$2')}`,
+      [sourceId, req.userId]
+    );
+
+    if (sourceResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Source not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // stop nginx buffering the stream
+    });
+    res.flushHeaders();
+
+    req.on('close', () => {
+      if (!finished) {
+        finished = true;
+        clearInterval(pollTimer);
+        jobEvents.removeListener('update', onJobUpdate);
+      }
+    });
+
+    jobEvents.on('update', onJobUpdate);
+
+    const job = await getLatestSourceJob(sourceId);
+    if (job) {
+      await sendJob(job);
+    } else if (sourceResult.rows[0].upload_status === 'completed') {
+      // Processed before jobs were recorded
+      await sendSummary(null);
+      finish();
+    }
+
+    if (!finished) {
+      pollTimer = setInterval(async () => {
+        try {
+          const latest = await getLatestSourceJob(sourceId);
+          if (latest) {
+            await sendJob(latest);
+          }
+          if (!finished) {
+            res.write(': keepalive\n\n');
+          }
+        } catch (error) {
+          console.error('Progress stream poll error:', error);
+        }
+      }, PROGRESS_STREAM_POLL_MS);
+    }
+
+  } catch (error) {
+    console.error('Progress stream error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: 'Failed to stream upload progress'
+      });
+    }
+    // Ending the stream makes EventSource reconnect and start over
+    finish();
+  }
+});
+
+// List user's processing jobs
+router.get('/jobs', authenticateToken, async (req, res) => {
+  try {
+    const { status, limit = 20 } = req.query;
+
+    let whereClause = 'WHERE user_id = $1';
+    const params = [req.userId];
+
+    if (status) {
+      whereClause += ' AND status = $2';
+      params.push(status);
+    }
+
+    const result = await query(`
+      SELECT * FROM jobs
+      ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT $${params.length + 1}
+    `, [...params, parseInt(limit)]);
+
+    res.json({
+      jobs: result.rows.map(job => ({ sourceId: job.source_id, ...formatJob(job) })),
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    console.error('Jobs list error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch jobs'
+    });
+  }
+});
+
+// List user's uploaded sources and those shared with their groups.
+// scope: 'all' (default), 'own' or 'shared'; each source has access 'owner', 'edit' or 'read'
 router.get('/sources', authenticateToken, async (req, res) => {
   try {
-    const { page = 1, limit = 20, status } = req.query;
+    const { page = 1, limit = 20, status, scope = 'all' } = req.query;
     const offset = (page - 1) * limit;
 
-    let whereClause = 'WHERE user_id = $1';
+    if (!['all', 'own', 'shared'].includes(scope)) {
+      return res.status(400).json({
+        error: 'scope must be one of: all, own, shared'
+      });
+    }
+
+    let whereClause = `WHERE ${accessConditionSql('source', 's', '$1')}`;
     const params = [req.userId];
 
+    if (scope === 'own') {
+      whereClause += ' AND s.user_id = $1';
+    } else if (scope === 'shared') {
+      whereClause += ' AND s.user_id <> $1';
+    }
+
     if (status) {
-      whereClause += ' AND upload_status = $2';
+      whereClause += ' AND s.upload_status = $2';
       params.push(status);
     }
 
     const result = await query(`
       SELECT s.*, 
-             COUNT(dc.id) as chunk_count
+             COUNT(dc.id) as chunk_count,
+             ${accessLevelSql('source', 's', '$1')} as access
       FROM sources s
       LEFT JOIN doc_chunks dc ON s.id = dc.source_id
       ${whereClause}
@@ -201,7 +819,7 @@ router.get('/sources', authenticateToken, async (req, res) => {
     `, [...params, limit, offset]);
 
     const countResult = await query(`
-      SELECT COUNT(*) as total FROM sources ${whereClause}
+      SELECT COUNT(*) as total FROM sources s ${whereClause}
     `, params);
 
     res.json({
@@ -225,4 +843,378 @@ router.get('/sources', authenticateToken, async (req, res) => {
   }
 });
 
+// Rename or retag a source (the owner, or group members with edit permission)
+router.patch('/sources/:sourceId', authenticateToken, async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+    const { title, tags } = req.body;
+
+    if (title === undefined && tags === undefined) {
+      return res.status(400).json({
+        error: 'title or tags is required'
+      });
+    }
+
+    if (title !== undefined && (typeof title !== 'string' || title.trim().length === 0 || title.length > 500)) {
+      return res.status(400).json({
+        error: 'title must be a non-empty string of at most 500 characters'
+      });
+    }
+
+    if (tags !== undefined && (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string'))) {
+      return res.status(400).json({
+        error: 'tags must be an array of strings'
+      });
+    }
+
+    const updates = [];
+    const params = [];
+    if (title !== undefined) {
+      params.push(title.trim());
+      updates.push(`title = $${params.length}`);
+    }
+    if (tags !== undefined) {
+      params.push([...new Set(tags.map(tag => tag.trim()).filter(Boolean))]);
+      updates.push(`tags = $${params.length}`);
+    }
+    params.push(sourceId, req.userId);
+
+    const result = await query(`
+      UPDATE sources s SET ${updates.join(', ')}
+      WHERE s.id = $${params.length - 1} AND ${accessConditionSql('source', 's', `$${params.length}`, { requireEdit: true })}
+      RETURNING *
+    `, params);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Source not found'
+      });
+    }
+
+    const source = result.rows[0];
+    res.json({
+      message: 'Source updated successfully',
+      sourceId: source.id,
+      title: source.title,
+      tags: source.tags,
+      updatedAt: source.updated_at
+    });
+
+  } catch (error) {
+    console.error('Source update error:', error);
+    res.status(500).json({
+      error: 'Failed to update source'
+    });
+  }
+});
+
+// Delete a source with its chunks and processing jobs
+router.delete('/sources/:sourceId', authenticateToken, async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+
+    const deleted = await deleteSource(sourceId, req.userId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Source not found'
+      });
+    }
+
+    res.json({
+      message: 'Source deleted successfully',
+      sourceId
+    });
+
+  } catch (error) {
+    console.error('Source deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to delete source'
+    });
+  }
+});
+
+// Re-run the processing pipeline on an existing source
+router.post('/sources/:sourceId/reprocess', authenticateToken, async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+
+    const sourceResult = await query(
+      `SELECT s.* FROM sources s WHERE s.id = $1 AND ${accessConditionSql('source', 's', '$2', { requireEdit: true })}`,
+      [sourceId, req.userId]
+    );
+
+    if (sourceResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Source not found'
+      });
+    }
+
+    const latestJob = await getLatestSourceJob(sourceId);
+    if (latestJob && ['queued', 'running'].includes(latestJob.status)) {
+      return res.status(409).json({
+        error: 'Source is already being processed',
+        job: formatJob(latestJob)
+      });
+    }
+
+    // Uploaded files stay on disk; URL sources are downloaded again
+    const { file_path: filePath } = sourceResult.rows[0];
+    if (!filePath.startsWith('http')) {
+      try {
+        await fs.access(filePath);
+      } catch (error) {
+        return res.status(409).json({
+          error: 'The original file is no longer available; please upload it again'
+        });
+      }
+    }
+
+    const reprocessed = await reprocessSource(sourceId, req.userId);
+    if (!reprocessed) {
+      return res.status(404).json({
+        error: 'Source not found'
+      });
+    }
+
+    const { source, job } = reprocessed;
+    res.status(202).json({
+      message: 'Reprocessing queued',
+      sourceId: source.id,
+      jobId: job.id,
+      status: 'processing'
+    });
+
+  } catch (error) {
+    console.error('Source reprocess error:', error);
+    res.status(500).json({
+      error: 'Failed to reprocess source'
+    });
+  }
+});
+
+// Browse the chunks a source was split into
+router.get('/sources/:sourceId/chunks', authenticateToken, async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const sourceResult = await query(`
+      SELECT s.id, s.title, s.upload_status, COUNT(dc.id) as chunk_count
+      FROM sources s
+      LEFT JOIN doc_chunks dc ON s.id = dc.source_id
+      WHERE s.id = $1 AND ${accessConditionSql('source', 's', '$2')}
+      GROUP BY s.id
+    `, [sourceId, req.userId]);
+
+    if (sourceResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Source not found'
+      });
+    }
+
+    const source = sourceResult.rows[0];
+    const total = parseInt(source.chunk_count);
+    const chunks = await getSourceChunks(sourceId, req.userId, limit, (page - 1) * limit);
+
+    res.json({
+      source: {
+        sourceId: source.id,
+        title: source.title,
+        status: source.upload_status
+      },
+      chunks: chunks.map(chunk => {
+        const pageRange = chunk.metadata?.page_range || null;
+        return {
+          chunkId: chunk.id,
+          chunkIndex: chunk.chunk_index,
+          tokenCount: chunk.token_count,
+          heading: chunk.metadata?.heading || null,
+          pageRange,
+          ocrPages: chunk.metadata?.ocr_pages || [],
+          tables: chunk.metadata?.tables || [],
+          timeRange: chunk.metadata?.time_range || null,
+          citation: formatChunkCitation(chunk),
+          embeddingModel: chunk.embedding_model,
+          text: chunk.chunk_text
+        };
+      }),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Source chunks fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch source chunks'
+    });
+  }
+});
+
+// List the figures extracted from a source
+router.get('/sources/:sourceId/figures', authenticateToken, async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+
+    const sourceResult = await query(
+      `SELECT s.id FROM sources s WHERE s.id = $1 AND ${accessConditionSql('source', 's', '$2')}`,
+      [sourceId, req.userId]
+    );
+
+    if (sourceResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Source not found'
+      });
+    }
+
+    const result = await query(`
+      SELECT * FROM source_figures
+      WHERE source_id = $1
+      ORDER BY page_number, figure_index
+    `, [sourceId]);
+
+    res.json({
+      figures: result.rows.map(figure => ({
+        figureId: figure.id,
+        page: figure.page_number,
+        figureIndex: figure.figure_index,
+        caption: figure.caption,
+        width: figure.width,
+        height: figure.height,
+        imageUrl: `/api/upload/figures/${figure.id}/image`
+      })),
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    console.error('Figures fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch figures'
+    });
+  }
+});
+
+// Serve a figure image
+router.get('/figures/:figureId/image', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT f.file_path
+      FROM source_figures f
+      JOIN sources s ON f.source_id = s.id
+      WHERE f.id = $1 AND ${accessConditionSql('source', 's', '$2')}
+    `, [req.params.figureId, req.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Figure not found'
+      });
+    }
+
+    res.sendFile(result.rows[0].file_path, { root: FIGURES_DIR }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          error: 'Figure image not found'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Figure image error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch figure image'
+    });
+  }
+});
+
+// Semantic search across the user's uploaded sources and those shared with their groups
+// (groupId narrows the search to one group's shared library)
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    const { q, limit = 10, mode = DEFAULT_SEARCH_MODE, sourceIds, tags, uploadedAfter, uploadedBefore, groupId } = req.query;
+
+    // A repeated ?q= arrives as an array
+    if (typeof q !== 'string' || q.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Search query (q) is required'
+      });
+    }
+
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: `mode must be one of: ${SEARCH_MODES.join(', ')}`
+      });
+    }
+
+    // Comma-separated, or the parameter repeated
+    const parseList = (value) => [].concat(value || [])
+      .flatMap(item => String(item).split(','))
+      .map(item => item.trim())
+      .filter(Boolean);
+    const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+    const sourceIdList = parseList(sourceIds);
+    if (!sourceIdList.every(isUuid)) {
+      return res.status(400).json({
+        error: 'sourceIds must be a comma-separated list of source ids'
+      });
+    }
+
+    if (groupId !== undefined && !isUuid(groupId)) {
+      return res.status(400).json({
+        error: 'groupId must be a valid id'
+      });
+    }
+
+    const invalidDate = Object.entries({ uploadedAfter, uploadedBefore })
+      .find(([, value]) => value !== undefined && !isIsoDate(value));
+    if (invalidDate) {
+      return res.status(400).json({
+        error: `${invalidDate[0]} must be an ISO 8601 date`
+      });
+    }
+
+    const chunks = await searchChunks(req.userId, q.trim(), Math.min(parseInt(limit) || 10, 50), {
+      mode,
+      sourceIds: sourceIdList,
+      tags: parseList(tags),
+      uploadedAfter,
+      uploadedBefore,
+      groupId
+    });
+
+    res.json({
+      query: q.trim(),
+      mode,
+      results: chunks.map(chunk => {
+        const pageRange = chunk.metadata?.page_range || null;
+        return {
+          chunkId: chunk.id,
+          sourceId: chunk.source_id,
+          sourceTitle: chunk.source_title,
+          chunkIndex: chunk.chunk_index,
+          score: chunk.score,
+          similarity: toNumber(chunk.similarity),
+          keywordRank: toNumber(chunk.keyword_rank),
+          pageRange,
+          timeRange: chunk.metadata?.time_range || null,
+          citation: formatChunkCitation(chunk),
+          text: chunk.chunk_text
+        };
+      }),
+      count: chunks.length
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      error: 'Failed to search sources'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,134 @@
+const jwt = require('jsonwebtoken');
+const { query } = require('../models/database');
+const { sendEmailNotification } = require('./notificationService');
+
+// Email verification and password reset links. Both carry a signed JWT with a purpose
+// claim, which the auth middleware refuses, so a link can't be used as an access token;
+// verification tokens also have their own audience. Reset tokens are signed with a key
+// that includes the current password hash, so a link stops working once the password
+// has been changed.
+
+const APP_URL = process.env.APP_URL || 'http://localhost:8080';
+// Pages of the client app that handle the links; the token is appended as ?token=
+const EMAIL_VERIFICATION_URL = process.env.EMAIL_VERIFICATION_URL || `${APP_URL}/verify-email`;
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || `${APP_URL}/reset-password`;
+const EMAIL_VERIFICATION_TTL = process.env.EMAIL_VERIFICATION_TTL || '24h';
+const PASSWORD_RESET_TTL = process.env.PASSWORD_RESET_TTL || '1h';
+const MIN_PASSWORD_LENGTH = 8;
+
+// Registration can be limited to institutional addresses, e.g. student.mahidol.edu
+const REGISTRATION_EMAIL_DOMAINS = (process.env.REGISTRATION_EMAIL_DOMAINS || '')
+  .split(',')
+  .map(domain => domain.trim().toLowerCase().replace(/^@/, ''))
+  .filter(Boolean);
+
+const isEmailDomainAllowed = (email) => {
+  if (REGISTRATION_EMAIL_DOMAINS.length === 0) {
+    return true;
+  }
+  const domain = email.split('@').pop().toLowerCase();
+  return REGISTRATION_EMAIL_DOMAINS.includes(domain);
+};
+
+// Returns an error message, or null when the password is acceptable
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+const resetSecret = (user) => `${process.env.JWT_SECRET}${user.password_hash}`;
+
+const VERIFICATION_AUDIENCE = 'verify_email';
+
+const createVerificationToken = (user) => jwt.sign(
+  { userId: user.id, email: user.email, purpose: 'verify_email' },
+  process.env.JWT_SECRET,
+  { expiresIn: EMAIL_VERIFICATION_TTL, audience: VERIFICATION_AUDIENCE }
+);
+
+const createPasswordResetToken = (user) => jwt.sign(
+  { userId: user.id, purpose: 'password_reset' },
+  resetSecret(user),
+  { expiresIn: PASSWORD_RESET_TTL }
+);
+
+// Mark the email in a verification token as verified. Returns the user, or null if the
+// token is invalid, expired or for an address the account no longer uses.
+const verifyEmailToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: VERIFICATION_AUDIENCE });
+  } catch (error) {
+    return null;
+  }
+  if (decoded.purpose !== 'verify_email') {
+    return null;
+  }
+
+  const result = await query(`
+    UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+    WHERE id = $1 AND email = $2
+    RETURNING id, email, email_verified_at
+  `, [decoded.userId, decoded.email]);
+
+  return result.rows[0] || null;
+};
+
+// The user a password reset token was issued to, or null if it is invalid, expired or
+// already used
+const getPasswordResetUser = async (token) => {
+  const unverified = jwt.decode(token);
+  if (!unverified || unverified.purpose !== 'password_reset') {
+    return null;
+  }
+
+  const result = await query(
+    'SELECT id, email, password_hash, disabled_at FROM users WHERE id = $1',
+    [unverified.userId]
+  );
+  const user = result.rows[0];
+  if (!user || user.disabled_at) {
+    return null;
+  }
+
+  try {
+    jwt.verify(token, resetSecret(user));
+    return user;
+  } catch (error) {
+    return null;
+  }
+};
+
+const sendVerificationEmail = async (user) => {
+  const url = `${EMAIL_VERIFICATION_URL}?token=${encodeURIComponent(createVerificationToken(user))}`;
+
+  return sendEmailNotification(user, {
+    type: 'email_verification',
+    title: 'Verify your email address',
+    message: `Hi ${user.full_name}, please confirm that this is your email address. The link expires in ${EMAIL_VERIFICATION_TTL}.`,
+    data: { url }
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const url = `${PASSWORD_RESET_URL}?token=${encodeURIComponent(createPasswordResetToken(user))}`;
+
+  return sendEmailNotification(user, {
+    type: 'password_reset',
+    title: 'Reset your password',
+    message: `Hi ${user.full_name}, we received a request to reset your password. The link expires in ${PASSWORD_RESET_TTL}. If you didn't ask for this, you can ignore this email.`,
+    data: { url }
+  });
+};
+
+module.exports = {
+  REGISTRATION_EMAIL_DOMAINS,
+  isEmailDomainAllowed,
+  validatePassword,
+  verifyEmailToken,
+  getPasswordResetUser,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -1,51 +1,39 @@
-const axios = require('axios');
+const { getLLMProvider, getGenerationConfig } = require('./llmProvider');
 
-// AI content generation service using OpenAI
+// Sentinel the model returns when the provided excerpts cannot answer a question
+const NOT_IN_NOTES = 'NOT_IN_NOTES';
+
+// AI content generation service using the configured LLM provider
 const generateAIContent = async (type, content, topics, options = {}) => {
   try {
     const prompts = getPrompts(type, content, topics, options);
-    
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: 'gpt-3.5-turbo',
-        messages: prompts.messages,
-        temperature: 0.7,
-        max_tokens: prompts.maxTokens
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 60000
-      }
-    );
+    const config = getGenerationConfig(type, { maxTokens: prompts.maxTokens });
+    const provider = getLLMProvider();
 
-    if (!response.data || !response.data.choices || response.data.choices.length === 0) {
-      throw new Error('Invalid response from OpenAI API');
-    }
+    const generatedContent = await provider.complete({
+      type,
+      model: config.model,
+      messages: prompts.messages,
+      temperature: config.temperature,
+      maxTokens: config.maxTokens,
+      context: { content, topics, count: options.count }
+    });
 
-    const generatedContent = response.data.choices[0].message.content;
-    console.log(`🤖 Generated ${type} content (${generatedContent.length} chars)`);
+    console.log(`🤖 Generated ${type} content with ${provider.name}/${config.model} (${generatedContent.length} chars)`);
 
     return parseAIResponse(type, generatedContent);
 
   } catch (error) {
-    if (error.response) {
-      console.error('OpenAI API error:', error.response.status, error.response.data);
-      throw new Error(`OpenAI API error: ${error.response.status} - ${error.response.data.error?.message || 'Unknown error'}`);
-    } else {
-      console.error('AI service error:', error.message);
-      throw error;
-    }
+    console.error('AI service error:', error.message);
+    throw error;
   }
 };
 
-// Generate prompts for different content types
+// Generate prompts for different content types. Content is sent whole: callers keep it
+// within the model's context (see itemGeneration for how generation content is batched).
 const getPrompts = (type, content, topics, options) => {
   const baseContext = `You are an expert medical educator creating study materials. 
-Content to analyze: "${content.substring(0, 3000)}..."
+Content to analyze: "${content}"
 Topics: ${topics.join(', ')}`;
 
   switch (type) {
@@ -62,7 +50,9 @@ The summary should be:
 - Focused on key concepts and important details
 - Written for medical students
 - Include important terminology and definitions
-- Highlight clinical relevance where applicable`
+- Highlight clinical relevance where applicable
+- Written in the language of the content (for bilingual Thai/English notes, keep medical terms as they appear)
+- Formatted as Markdown, with a "## <topic>" section for each topic and "###" subsections where useful`
           },
           {
             role: 'user',
@@ -72,6 +62,8 @@ The summary should be:
         maxTokens: 1000
       };
 
+    // For flashcards and MCQs the content is a numbered list of excerpts, and each item
+    // lists the excerpts it was drawn from
     case 'flashcards':
       const flashcardCount = options.count || 20;
       return {
@@ -86,12 +78,15 @@ Create ${flashcardCount} flashcards from this content. Each flashcard should:
 - Focus on important concepts, definitions, processes, or clinical applications
 - Be challenging but fair for medical students
 - Cover different aspects of the topics
+- Use the language of the content (for bilingual Thai/English notes, keep medical terms as they appear)
+- Be answerable from the excerpts alone, listing the numbers of the excerpts it is drawn from in "sources"
 
 Format your response as a JSON array:
 [
   {
     "front": "Question text",
-    "back": "Answer text"
+    "back": "Answer text",
+    "sources": [1]
   },
   ...
 ]`
@@ -118,6 +113,9 @@ Create ${mcqCount} multiple choice questions from this content. Each MCQ should:
 - Include clinical scenarios where appropriate
 - Have clear, unambiguous wording
 - Include a brief explanation of why the answer is correct
+- Where the content has tables (rows with cells separated by |), include questions on their values
+- Use the language of the content (for bilingual Thai/English notes, keep medical terms as they appear)
+- Be answerable from the excerpts alone, listing the numbers of the excerpts it is drawn from in "sources"
 
 Format your response as a JSON array:
 [
@@ -125,7 +123,8 @@ Format your response as a JSON array:
     "question": "Question text",
     "correct_answer": "Correct option",
     "distractors": ["Wrong option 1", "Wrong option 2", "Wrong option 3"],
-    "explanation": "Why this answer is correct"
+    "explanation": "Why this answer is correct",
+    "sources": [1, 2]
   },
   ...
 ]`
@@ -138,16 +137,54 @@ Format your response as a JSON array:
         maxTokens: 3000
       };
 
+    case 'answer':
+      // Content is a numbered list of excerpts; the answer must cite them as [n]
+      return {
+        messages: [
+          {
+            role: 'system',
+            content: `You are an expert medical educator answering a student's questions about their own lecture notes.
+Answer using ONLY the numbered excerpts below. Do not use outside knowledge.
+Cite every statement with the excerpt number in square brackets, e.g. [1] or [2][3].
+Answer in the language of the question, even if the excerpts are in another language.
+If the excerpts do not contain the answer, reply with exactly: ${NOT_IN_NOTES}
+
+Excerpts:
+${content}`
+          },
+          ...(options.history || []).map(message => ({
+            role: message.role,
+            content: message.content
+          })),
+          {
+            role: 'user',
+            content: options.question
+          }
+        ],
+        maxTokens: 800
+      };
+
     default:
       throw new Error(`Unsupported content type: ${type}`);
   }
 };
 
+// Excerpt numbers an item cites, as unique positive integers ("[2]" and "2" are accepted).
+// Whether they point at real excerpts is up to the caller, which knows how many there were.
+const parseSourceMarkers = (sources) => {
+  const list = Array.isArray(sources) ? sources : [sources];
+  const markers = list
+    .map(source => parseInt(String(source).replace(/[^\d]/g, '')))
+    .filter(marker => marker >= 1);
+  return [...new Set(markers)];
+};
+
 // Parse AI response based on content type
 const parseAIResponse = (type, content) => {
   try {
     switch (type) {
       case 'summary':
+      case 'answer':
         return content.trim();
 
       case 'flashcards':
@@ -165,14 +202,18 @@ const parseAIResponse = (type, content) => {
 
         // Validate structure
         if (type === 'flashcards') {
-          return parsed.filter(item => item.front && item.back);
+          return parsed
+            .filter(item => item.front && item.back)
+            .map(item => ({ ...item, sources: parseSourceMarkers(item.sources) }));
         } else if (type === 'mcqs') {
-          return parsed.filter(item => 
-            item.question && 
-            item.correct_answer && 
-            Array.isArray(item.distractors) && 
-            item.distractors.length >= 3
-          );
+          return parsed
+            .filter(item =>
+              item.question &&
+              item.correct_answer &&
+              Array.isArray(item.distractors) &&
+              item.distractors.length >= 3
+            )
+            .map(item => ({ ...item, sources: parseSourceMarkers(item.sources) }));
         }
         break;
 
@@ -182,18 +223,17 @@ const parseAIResponse = (type, content) => {
   } catch (error) {
     console.error('AI response parsing error:', error);
     
-    // Fallback: try to extract content manually
+    // Fallback: try to extract flashcards from "Front:/Back:" text. MCQs have no fallback;
+    // a response that can't be parsed produces no questions.
     if (type === 'flashcards') {
       return extractFlashcardsManually(content);
-    } else if (type === 'mcqs') {
-      return extractMCQsManually(content);
     }
     
     throw new Error(`Failed to parse AI response for type: ${type}`);
   }
 };
 
-// Manual extraction fallbacks
+// Manual extraction fallback
 const extractFlashcardsManually = (content) => {
   const flashcards = [];
   const lines = content.split('\n');
@@ -228,19 +268,6 @@ const extractFlashcardsManually = (content) => {
   return flashcards.slice(0, 20); // Limit to 20
 };
 
-const extractMCQsManually = (content) => {
-  // This is a simplified manual extraction
-  // In practice, this would be more sophisticated
-  return [
-    {
-      question: "Sample question extracted from content",
-      correct_answer: "Correct option",
-      distractors: ["Option A", "Option B", "Option C"],
-      explanation: "This is the explanation for the correct answer."
-    }
-  ];
-};
-
 // Generate content in batches to handle rate limits
 const batchGenerateContent = async (requests, delayMs = 2000) => {
   const results = [];
@@ -274,5 +301,6 @@ const batchGenerateContent = async (requests, delayMs = 2000) => {
 module.exports = {
   generateAIContent,
   batchGenerateContent,
-  parseAIResponse
+  parseAIResponse,
+  NOT_IN_NOTES
 };
\ No newline at end of file
@@ -0,0 +1,233 @@
+const { query, withTransaction } = require('../models/database');
+const { retrieveRelevantContent } = require('./studyPackGenerator');
+const { generateAIContent, NOT_IN_NOTES } = require('./aiService');
+const { formatChunkCitation } = require('./uploadProcessor');
+
+// Retrieval configuration
+const ASK_TOP_K = parseInt(process.env.ASK_TOP_K) || 8;
+// 0 is a valid threshold (answer from any retrieved chunk), so only unset or invalid values default
+const ASK_MIN_SIMILARITY = Number.isNaN(parseFloat(process.env.ASK_MIN_SIMILARITY))
+  ? 0.75
+  : parseFloat(process.env.ASK_MIN_SIMILARITY);
+const ASK_HISTORY_MESSAGES = 6;
+
+const REFUSAL_MESSAGE = "I couldn't find anything about this in your uploaded notes, so I can't answer it from your sources.";
+
+// Build the numbered excerpt list the model cites from
+const formatExcerpts = (chunks) => {
+  return chunks.map((chunk, index) => {
+    return `[${index + 1}] (${formatChunkCitation(chunk)})\n${chunk.chunk_text}`;
+  }).join('\n\n');
+};
+
+// A chunk is relevant enough to answer from when it matched the question's keywords or is
+// close enough to it by embedding. Keyword-search hits have a keyword_rank, and have no
+// similarity when keyword mode skips the query embedding.
+const isRelevantChunk = (chunk) => {
+  if (chunk.keyword_rank != null) {
+    return true;
+  }
+  return chunk.similarity != null && parseFloat(chunk.similarity) >= ASK_MIN_SIMILARITY;
+};
+
+// Map [n] markers in the answer back to the chunks they cite
+const extractCitations = (answer, chunks) => {
+  const markers = new Set();
+  for (const match of answer.matchAll(/\[(\d+)\]/g)) {
+    const marker = parseInt(match[1]);
+    if (marker >= 1 && marker <= chunks.length) {
+      markers.add(marker);
+    }
+  }
+
+  return [...markers].sort((a, b) => a - b).map(marker => {
+    const chunk = chunks[marker - 1];
+    const pageRange = chunk.metadata?.page_range || null;
+    return {
+      marker,
+      chunkId: chunk.id,
+      sourceId: chunk.source_id,
+      sourceTitle: chunk.source_title,
+      chunkIndex: chunk.chunk_index,
+      pageRange,
+      timeRange: chunk.metadata?.time_range || null,
+      citation: formatChunkCitation(chunk)
+    };
+  });
+};
+
+// Get a conversation owned by the user, or null
+const getConversation = async (conversationId, userId) => {
+  const result = await query(
+    'SELECT * FROM conversations WHERE id = $1 AND user_id = $2',
+    [conversationId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Get the most recent messages of a conversation, oldest first
+const getRecentMessages = async (conversationId, limit = ASK_HISTORY_MESSAGES) => {
+  const result = await query(`
+    SELECT role, content FROM (
+      SELECT role, content, created_at
+      FROM conversation_messages
+      WHERE conversation_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    ) recent
+    ORDER BY created_at ASC
+  `, [conversationId, limit]);
+  return result.rows;
+};
+
+// Answer a question from the user's indexed notes, continuing a conversation if given
+const askQuestion = async (userId, question, options = {}) => {
+  const { conversationId = null } = options;
+
+  try {
+    let conversation = null;
+    let history = [];
+
+    if (conversationId) {
+      conversation = await getConversation(conversationId, userId);
+      if (!conversation) {
+        return null;
+      }
+      history = await getRecentMessages(conversation.id);
+    }
+
+    const sourceIds = conversation ? conversation.source_ids : (options.sourceIds || []);
+
+    // Follow-ups like "what about its treatment?" need the previous question for retrieval
+    const lastUserMessage = [...history].reverse().find(message => message.role === 'user');
+    const retrievalQuery = lastUserMessage ? `${lastUserMessage.content}\n${question}` : question;
+
+    const chunks = (await retrieveRelevantContent(userId, [retrievalQuery], sourceIds, ASK_TOP_K))
+      .filter(isRelevantChunk);
+
+    let answer = REFUSAL_MESSAGE;
+    let citations = [];
+    let answered = false;
+
+    if (chunks.length > 0) {
+      const generated = await generateAIContent('answer', formatExcerpts(chunks), [], {
+        question,
+        history
+      });
+
+      citations = extractCitations(generated, chunks);
+      if (!generated.includes(NOT_IN_NOTES) && citations.length > 0) {
+        answer = generated;
+        answered = true;
+      } else {
+        citations = [];
+      }
+    }
+
+    console.log(`💬 Answered question for user ${userId}: ${answered ? `${citations.length} citations` : 'refused'}`);
+
+    // Store both turns of the exchange
+    const stored = await withTransaction(async (client) => {
+      if (!conversation) {
+        const conversationResult = await client.query(`
+          INSERT INTO conversations (user_id, title, source_ids)
+          VALUES ($1, $2, $3)
+          RETURNING *
+        `, [userId, question.substring(0, 500), sourceIds]);
+        conversation = conversationResult.rows[0];
+      } else {
+        await client.query(
+          'UPDATE conversations SET updated_at = NOW() WHERE id = $1',
+          [conversation.id]
+        );
+      }
+
+      // clock_timestamp() keeps the two turns ordered within one transaction
+      await client.query(`
+        INSERT INTO conversation_messages (conversation_id, role, content, created_at)
+        VALUES ($1, 'user', $2, clock_timestamp())
+      `, [conversation.id, question]);
+
+      const messageResult = await client.query(`
+        INSERT INTO conversation_messages (conversation_id, role, content, citations, answered, created_at)
+        VALUES ($1, 'assistant', $2, $3, $4, clock_timestamp())
+        RETURNING id, created_at
+      `, [conversation.id, answer, JSON.stringify(citations), answered]);
+
+      return messageResult.rows[0];
+    });
+
+    return {
+      conversationId: conversation.id,
+      messageId: stored.id,
+      answer,
+      answered,
+      citations,
+      createdAt: stored.created_at
+    };
+
+  } catch (error) {
+    console.error('Ask question error:', error);
+    throw error;
+  }
+};
+
+// List the user's conversations
+const getConversations = async (userId, options = {}) => {
+  const { page = 1, limit = 20 } = options;
+  const offset = (page - 1) * limit;
+
+  try {
+    const result = await query(`
+      SELECT c.*, COUNT(cm.id) as message_count
+      FROM conversations c
+      LEFT JOIN conversation_messages cm ON c.id = cm.conversation_id
+      WHERE c.user_id = $1
+      GROUP BY c.id
+      ORDER BY c.updated_at DESC
+      LIMIT $2 OFFSET $3
+    `, [userId, limit, offset]);
+
+    return result.rows.map(row => ({
+      ...row,
+      message_count: parseInt(row.message_count)
+    }));
+
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    throw error;
+  }
+};
+
+// Get a conversation with its full message thread
+const getConversationThread = async (conversationId, userId) => {
+  try {
+    const conversation = await getConversation(conversationId, userId);
+    if (!conversation) {
+      return null;
+    }
+
+    const messages = await query(`
+      SELECT id, role, content, citations, answered, created_at
+      FROM conversation_messages
+      WHERE conversation_id = $1
+      ORDER BY created_at ASC
+    `, [conversationId]);
+
+    return {
+      ...conversation,
+      messages: messages.rows
+    };
+
+  } catch (error) {
+    console.error('Get conversation thread error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  askQuestion,
+  getConversations,
+  getConversationThread,
+  extractCitations
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { query } = require('../models/database');
+const { extractTerms } = require('./textSegmentation');
+
+// Exact duplicates share a SHA-256 of the file bytes. Near duplicates (a re-export of
+// the same slides, a handout with one page added) are found with a 64-bit SimHash of
+// the extracted text: sources whose hashes differ in few bits have mostly the same words.
+
+const NEAR_DUPLICATE_MAX_DISTANCE = parseInt(process.env.NEAR_DUPLICATE_MAX_DISTANCE) || 3;
+const SIMHASH_BITS = 64;
+const SHINGLE_SIZE = 3;
+
+// SHA-256 of a file buffer
+const hashBuffer = (buffer) => {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+};
+
+// SHA-256 of a file on disk, streamed so large uploads aren't held in memory
+const hashFile = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', data => hash.update(data))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+};
+
+// 64-bit SimHash over word shingles; returned as a signed string to fit a BIGINT column
+const computeSimHash = (text) => {
+  const words = extractTerms(text.toLowerCase());
+  if (words.length === 0) {
+    return null;
+  }
+
+  const weights = new Array(SIMHASH_BITS).fill(0);
+  const shingleCount = Math.max(words.length - SHINGLE_SIZE + 1, 1);
+
+  for (let i = 0; i < shingleCount; i++) {
+    const shingle = words.slice(i, i + SHINGLE_SIZE).join(' ');
+    const digest = crypto.createHash('md5').update(shingle).digest();
+    // Two 32-bit halves keep the inner loop on plain numbers
+    const low = digest.readUInt32BE(4);
+    const high = digest.readUInt32BE(0);
+
+    for (let bit = 0; bit < 32; bit++) {
+      weights[bit] += (low >>> bit) & 1 ? 1 : -1;
+      weights[bit + 32] += (high >>> bit) & 1 ? 1 : -1;
+    }
+  }
+
+  let simhash = 0n;
+  for (let bit = 0; bit < SIMHASH_BITS; bit++) {
+    if (weights[bit] > 0) {
+      simhash |= 1n << BigInt(bit);
+    }
+  }
+
+  return BigInt.asIntN(SIMHASH_BITS, simhash).toString();
+};
+
+// Number of differing bits between two stored SimHashes
+const hammingDistance = (a, b) => {
+  let diff = BigInt.asUintN(SIMHASH_BITS, BigInt(a) ^ BigInt(b));
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+};
+
+// Find a source in the user's library with identical file contents
+const findExactDuplicate = async (userId, contentHash, excludeSourceId = null) => {
+  const result = await query(`
+    SELECT id, title, upload_status, tags, created_at
+    FROM sources
+    WHERE user_id = $1 AND content_hash = $2 AND upload_status <> 'failed'
+      AND ($3::uuid IS NULL OR id <> $3)
+    ORDER BY (upload_status = 'completed') DESC, created_at
+    LIMIT 1
+  `, [userId, contentHash, excludeSourceId]);
+
+  return result.rows[0] || null;
+};
+
+// Find the most similar source in the user's library whose text SimHash is within
+// NEAR_DUPLICATE_MAX_DISTANCE bits; similarity is the share of matching bits
+const findNearDuplicate = async (userId, simhash, excludeSourceId = null) => {
+  if (simhash === null) {
+    return null;
+  }
+
+  const result = await query(`
+    SELECT id, title, text_simhash
+    FROM sources
+    WHERE user_id = $1 AND text_simhash IS NOT NULL AND upload_status = 'completed'
+      AND ($2::uuid IS NULL OR id <> $2)
+  `, [userId, excludeSourceId]);
+
+  let best = null;
+  for (const row of result.rows) {
+    const distance = hammingDistance(simhash, row.text_simhash);
+    if (distance <= NEAR_DUPLICATE_MAX_DISTANCE && (!best || distance < best.distance)) {
+      best = { sourceId: row.id, title: row.title, distance };
+    }
+  }
+
+  return best && {
+    sourceId: best.sourceId,
+    title: best.title,
+    similarity: 1 - best.distance / SIMHASH_BITS
+  };
+};
+
+module.exports = {
+  hashBuffer,
+  hashFile,
+  computeSimHash,
+  hammingDistance,
+  findExactDuplicate,
+  findNearDuplicate
+};
@@ -1,23 +1,65 @@
 const axios = require('axios');
+const { extractTerms } = require('./textSegmentation');
 
-// Generate embeddings using OpenAI API
-const generateEmbeddings = async (texts) => {
-  try {
-    if (!Array.isArray(texts) || texts.length === 0) {
-      throw new Error('Invalid input: texts must be a non-empty array');
+const DEFAULT_EMBEDDINGS_API_URL = 'https://api.openai.com/v1/embeddings';
+const DEFAULT_HASH_DIMENSION = 384;
+const DEFAULT_DIMENSION = 1536; // OpenAI ada-002 embedding dimension
+
+// Describe the configured embedding backend; every stored chunk records this model and dimension
+const getEmbeddingModelInfo = () => {
+  const provider = process.env.EMBEDDINGS_PROVIDER || 'openai';
+  const model = provider === 'hash'
+    ? 'hash'
+    : process.env.EMBEDDINGS_MODEL || 'text-embedding-ada-002';
+  const dimension = parseInt(process.env.EMBEDDINGS_DIMENSION)
+    || (provider === 'hash' ? DEFAULT_HASH_DIMENSION : DEFAULT_DIMENSION);
+
+  return { provider, model, dimension };
+};
+
+// 32-bit FNV-1a hash
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Offline embedder using signed feature hashing of word tokens.
+// Deterministic and dependency-free: meant for tests and laptops, not retrieval quality.
+const hashEmbed = (text, dimension) => {
+  const vector = new Array(dimension).fill(0);
+  const tokens = extractTerms(text.toLowerCase());
+
+  for (const token of tokens) {
+    const hash = fnv1a(token);
+    const sign = (hash & 0x80000000) ? -1 : 1;
+    vector[hash % dimension] += sign;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+};
+
+// Embedding backends keyed by EMBEDDINGS_PROVIDER
+const embeddingProviders = {
+  // OpenAI and OpenAI-compatible servers (vLLM, LM Studio, LocalAI, Ollama's /v1/embeddings)
+  openai: async (texts, { model }) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.EMBEDDINGS_API_KEY || process.env.OPENAI_API_KEY) {
+      headers['Authorization'] = `Bearer ${process.env.EMBEDDINGS_API_KEY || process.env.OPENAI_API_KEY}`;
     }
 
     const response = await axios.post(
-      process.env.EMBEDDINGS_API_URL,
+      process.env.EMBEDDINGS_API_URL || DEFAULT_EMBEDDINGS_API_URL,
       {
         input: texts,
-        model: process.env.EMBEDDINGS_MODEL || 'text-embedding-ada-002'
+        model
       },
       {
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
+        headers,
         timeout: 30000
       }
     );
@@ -27,15 +69,63 @@ const generateEmbeddings = async (texts) => {
     }
 
     // Extract embeddings from response
-    const embeddings = response.data.data.map(item => item.embedding);
+    return response.data.data.map(item => item.embedding);
+  },
+
+  // Ollama's native batch endpoint (POST /api/embed)
+  ollama: async (texts, { model }) => {
+    const response = await axios.post(
+      process.env.EMBEDDINGS_API_URL || 'http://localhost:11434/api/embed',
+      {
+        input: texts,
+        model
+      },
+      {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 60000
+      }
+    );
+
+    if (!response.data || !response.data.embeddings) {
+      throw new Error('Invalid response from embeddings API');
+    }
+
+    return response.data.embeddings;
+  },
+
+  hash: async (texts, { dimension }) => {
+    return texts.map(text => hashEmbed(text, dimension));
+  }
+};
+
+// Generate embeddings using the configured backend
+const generateEmbeddings = async (texts) => {
+  try {
+    if (!Array.isArray(texts) || texts.length === 0) {
+      throw new Error('Invalid input: texts must be a non-empty array');
+    }
+
+    const modelInfo = getEmbeddingModelInfo();
+    const provider = embeddingProviders[modelInfo.provider];
+    if (!provider) {
+      throw new Error(`Unsupported embeddings provider: ${modelInfo.provider}`);
+    }
+
+    const embeddings = await provider(texts, modelInfo);
+
+    // Stored vectors are indexed per dimension, so a mismatch must fail loudly
+    const wrongDimension = embeddings.find(embedding => embedding.length !== modelInfo.dimension);
+    if (wrongDimension) {
+      throw new Error(`Embedding dimension mismatch: expected ${modelInfo.dimension}, got ${wrongDimension.length} (set EMBEDDINGS_DIMENSION)`);
+    }
     
-    console.log(`🔢 Generated ${embeddings.length} embeddings`);
+    console.log(`🔢 Generated ${embeddings.length} embeddings with ${modelInfo.provider}/${modelInfo.model}`);
     return embeddings;
 
   } catch (error) {
     if (error.response) {
       console.error('Embeddings API error:', error.response.status, error.response.data);
-      throw new Error(`Embeddings API error: ${error.response.status} - ${error.response.data.error?.message || 'Unknown error'}`);
+      throw new Error(`Embeddings API error: ${error.response.status} - ${error.response.data?.error?.message || error.response.data?.error || 'Unknown error'}`);
     } else if (error.request) {
       console.error('Embeddings API network error:', error.message);
       throw new Error('Network error connecting to embeddings API');
@@ -53,7 +143,8 @@ const generateSingleEmbedding = async (text) => {
 };
 
 // Batch process embeddings with rate limiting
-const batchGenerateEmbeddings = async (texts, batchSize = 100, delayMs = 1000) => {
+// onProgress(done, total) is called after each batch
+const batchGenerateEmbeddings = async (texts, batchSize = 100, delayMs = 1000, onProgress = null) => {
   const results = [];
   
   for (let i = 0; i < texts.length; i += batchSize) {
@@ -63,6 +154,10 @@ const batchGenerateEmbeddings = async (texts, batchSize = 100, delayMs = 1000) =
     try {
       const batchEmbeddings = await generateEmbeddings(batch);
       results.push(...batchEmbeddings);
+
+      if (onProgress) {
+        await onProgress(results.length, texts.length);
+      }
       
       // Add delay between batches to respect rate limits
       if (i + batchSize < texts.length && delayMs > 0) {
@@ -111,6 +206,7 @@ const findSimilarEmbeddings = (queryEmbedding, candidateEmbeddings, topK = 10) =
 };
 
 module.exports = {
+  getEmbeddingModelInfo,
   generateEmbeddings,
   generateSingleEmbedding,
   batchGenerateEmbeddings,
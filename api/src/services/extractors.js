@@ -0,0 +1,467 @@
+const path = require('path');
+const pdf = require('pdf-parse');
+const JSZip = require('jszip');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { Readability } = require('@mozilla/readability');
+const { ocrPdfPages } = require('./ocrService');
+const { detectTables, getGap, getFontHeight } = require('./tableDetection');
+
+// Pages with fewer non-whitespace characters than this are treated as scanned and OCR'd
+const OCR_MIN_CHARS_PER_PAGE = parseInt(process.env.OCR_MIN_CHARS_PER_PAGE) || 50;
+
+// Every extractor turns a file buffer into the same shape:
+//   { text, pages: [pageText, ...], numPages, pageUnit, info, metadata }
+// `pages` are PDF pages or PPTX slides; formats without pages return a single
+// entry and pageUnit null, so chunks from them carry no page range.
+// PDFs also return ocrPages: { [pageNumber]: confidence } for pages read by OCR,
+// and tables: [{ page, caption, columnCount, rows }] detected from the text layout.
+// Web pages add the article title; subtitle files return one entry per cue in `pages`
+// with timestamps: [{ start, end }] in seconds alongside (and pageUnit null).
+// Headings are emitted as Markdown-style "# " lines so chunking can break on them.
+
+// Decode the XML entities used in Office Open XML text runs
+const decodeXmlEntities = (text) => {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+};
+
+// Join the text runs of one <w:p> or <a:p> paragraph
+const getParagraphText = (paragraphXml, runTag) => {
+  const runPattern = new RegExp(`<${runTag}(?:\\s[^>]*)?>([^<]*)</${runTag}>|<(?:w|a):(tab|br)\\b[^>]*>`, 'g');
+  let text = '';
+  for (const match of paragraphXml.matchAll(runPattern)) {
+    if (match[2] === 'tab') {
+      text += '\t';
+    } else if (match[2] === 'br') {
+      text += '\n';
+    } else {
+      text += decodeXmlEntities(match[1]);
+    }
+  }
+  return text.trim();
+};
+
+// Render one PDF page to text and detect its tables
+// (same line-joining behaviour as pdf-parse's default renderer, except that items
+// separated by a visible gap, such as table cells, get a space between them)
+const renderPage = async (pageData) => {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  let lastItem;
+  let text = '';
+  for (const item of textContent.items) {
+    if (lastY === item.transform[5] || !lastY) {
+      const separated = lastItem && getGap(lastItem, item) > getFontHeight(item) * 0.15
+        && !/\s$/.test(lastItem.str) && !/^\s/.test(item.str);
+      text += (separated ? ' ' : '') + item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+    lastItem = item;
+  }
+
+  return { text, tables: detectTables(textContent.items) };
+};
+
+// Count the characters that carry content
+const countTextCharacters = (text) => text.replace(/\s/g, '').length;
+
+// Extract text from PDF buffer, falling back to OCR for pages with little or no text layer
+// (scanned slides and exam papers). options.onProgress(done, total) reports OCR progress.
+const extractTextFromPDF = async (pdfBuffer, options = {}) => {
+  try {
+    const rendered = [];
+    const data = await pdf(pdfBuffer, {
+      pagerender: async (pageData) => {
+        const page = await renderPage(pageData);
+        rendered[pageData.pageNumber - 1] = page;
+        return page.text;
+      }
+    });
+    const pages = Array.from(rendered, page => (page ? page.text : ''));
+    const tables = rendered.flatMap((page, index) => (
+      page ? page.tables.map(table => ({ page: index + 1, ...table })) : []
+    ));
+
+    const scannedPages = pages
+      .map((text, index) => (countTextCharacters(text) < OCR_MIN_CHARS_PER_PAGE ? index + 1 : null))
+      .filter(Boolean);
+
+    const ocrPages = {};
+    if (scannedPages.length > 0) {
+      console.log(`🔍 Running OCR on ${scannedPages.length} of ${pages.length} pages`);
+      const ocrResults = await ocrPdfPages(pdfBuffer, scannedPages, options) || {};
+
+      // Keep the OCR text only when it found more than the text layer had
+      for (const [pageNumber, result] of Object.entries(ocrResults)) {
+        if (countTextCharacters(result.text) > countTextCharacters(pages[pageNumber - 1])) {
+          pages[pageNumber - 1] = result.text;
+          ocrPages[pageNumber] = result.confidence;
+        }
+      }
+    }
+
+    return {
+      text: Object.keys(ocrPages).length > 0 ? pages.join('\n\n') : data.text,
+      pages,
+      numPages: data.numpages,
+      pageUnit: 'page',
+      ocrPages,
+      tables,
+      info: data.info,
+      metadata: data.metadata
+    };
+  } catch (error) {
+    console.error('PDF extraction error:', error.message);
+    throw new Error(`Failed to extract text from PDF: ${error.message}`);
+  }
+};
+
+// Extract paragraphs from a Word document, marking Heading/Title styles as headings
+const extractTextFromDOCX = async (buffer) => {
+  try {
+    const zip = await JSZip.loadAsync(buffer);
+    const documentFile = zip.file('word/document.xml');
+    if (!documentFile) {
+      throw new Error('word/document.xml not found');
+    }
+
+    const documentXml = await documentFile.async('string');
+    const paragraphs = [];
+
+    for (const match of documentXml.matchAll(/<w:p[\s>][\s\S]*?<\/w:p>/g)) {
+      const text = getParagraphText(match[0], 'w:t');
+      if (!text) continue;
+
+      const style = match[0].match(/<w:pStyle w:val="([^"]+)"/);
+      const isHeading = style && /^(Heading\d*|Title|Subtitle)$/i.test(style[1]);
+      paragraphs.push(isHeading ? `# ${text}` : text);
+    }
+
+    const text = paragraphs.join('\n\n');
+    return {
+      text,
+      pages: [text],
+      numPages: null,
+      pageUnit: null,
+      info: null,
+      metadata: null
+    };
+  } catch (error) {
+    console.error('DOCX extraction error:', error.message);
+    throw new Error(`Failed to extract text from DOCX: ${error.message}`);
+  }
+};
+
+// Map relationship IDs to targets from a .rels file
+const readRelationships = async (zip, relsPath) => {
+  const relsFile = zip.file(relsPath);
+  if (!relsFile) {
+    return {};
+  }
+
+  const relsXml = await relsFile.async('string');
+  const relationships = {};
+  for (const match of relsXml.matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = match[0].match(/\bId="([^"]+)"/);
+    const target = match[0].match(/\bTarget="([^"]+)"/);
+    if (id && target) {
+      relationships[id[1]] = target[1];
+    }
+  }
+  return relationships;
+};
+
+// Get the paragraphs of a slide or notes slide; title placeholders become headings
+const getSlideParagraphs = (slideXml) => {
+  const paragraphs = [];
+
+  // Text boxes and placeholders (<p:sp>) plus tables (<p:graphicFrame>)
+  for (const shape of slideXml.matchAll(/<p:sp>[\s\S]*?<\/p:sp>|<p:graphicFrame>[\s\S]*?<\/p:graphicFrame>/g)) {
+    const isTitle = /<p:ph\b[^>]*type="(title|ctrTitle)"/.test(shape[0]);
+    // Skip slide number fields and placeholders that only mirror the slide image
+    const shapeXml = shape[0].replace(/<a:fld\b[\s\S]*?<\/a:fld>/g, '');
+
+    for (const match of shapeXml.matchAll(/<a:p>[\s\S]*?<\/a:p>|<a:p\s[\s\S]*?<\/a:p>/g)) {
+      const text = getParagraphText(match[0], 'a:t');
+      if (text) {
+        paragraphs.push(isTitle ? `# ${text}` : text);
+      }
+    }
+  }
+
+  return paragraphs;
+};
+
+// Extract slides in presentation order, each followed by its speaker notes
+const extractTextFromPPTX = async (buffer) => {
+  try {
+    const zip = await JSZip.loadAsync(buffer);
+    const presentationFile = zip.file('ppt/presentation.xml');
+    if (!presentationFile) {
+      throw new Error('ppt/presentation.xml not found');
+    }
+
+    const presentationXml = await presentationFile.async('string');
+    const presentationRels = await readRelationships(zip, 'ppt/_rels/presentation.xml.rels');
+
+    const slidePaths = [...presentationXml.matchAll(/<p:sldId\b[^>]*r:id="([^"]+)"/g)]
+      .map(match => presentationRels[match[1]])
+      .filter(Boolean)
+      .map(target => path.posix.join('ppt', target));
+
+    const pages = [];
+    for (const slidePath of slidePaths) {
+      const slideFile = zip.file(slidePath);
+      if (!slideFile) {
+        pages.push('');
+        continue;
+      }
+
+      const paragraphs = getSlideParagraphs(await slideFile.async('string'));
+
+      // Speaker notes are linked from the slide's relationships
+      const slideRels = await readRelationships(
+        zip,
+        path.posix.join(path.posix.dirname(slidePath), '_rels', `${path.posix.basename(slidePath)}.rels`)
+      );
+      const notesTarget = Object.values(slideRels).find(target => target.includes('notesSlide'));
+      if (notesTarget) {
+        const notesFile = zip.file(path.posix.join(path.posix.dirname(slidePath), notesTarget));
+        const notes = notesFile ? getSlideParagraphs(await notesFile.async('string')) : [];
+        if (notes.length > 0) {
+          paragraphs.push('Speaker notes:', ...notes);
+        }
+      }
+
+      pages.push(paragraphs.join('\n\n'));
+    }
+
+    return {
+      text: pages.join('\n\n'),
+      pages,
+      numPages: pages.length,
+      pageUnit: 'slide',
+      info: null,
+      metadata: null
+    };
+  } catch (error) {
+    console.error('PPTX extraction error:', error.message);
+    throw new Error(`Failed to extract text from PPTX: ${error.message}`);
+  }
+};
+
+// Strip Markdown syntax that carries no content, keeping "#" headings
+const extractTextFromMarkdown = async (buffer) => {
+  const text = buffer.toString('utf8')
+    .replace(/^---\n[\s\S]*?\n---\n/, '') // front matter
+    .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1') // code fences
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // images -> alt text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // links -> link text
+    .replace(/^(#{1,6})\s+(.*?)\s*#*$/gm, '# $2') // normalise heading levels
+    .replace(/^\s*[-*+]\s+/gm, '') // list bullets
+    .replace(/(\*\*|__|\*|`)/g, ''); // emphasis and inline code
+
+  return {
+    text,
+    pages: [text],
+    numPages: null,
+    pageUnit: null,
+    info: null,
+    metadata: null
+  };
+};
+
+const extractTextFromTXT = async (buffer) => {
+  const text = buffer.toString('utf8');
+  return {
+    text,
+    pages: [text],
+    numPages: null,
+    pageUnit: null,
+    info: null,
+    metadata: null
+  };
+};
+
+// Keep the readable article from a web page (Readability, as in Firefox Reader View),
+// with headings marked so chunking can break on them
+const extractTextFromHTML = async (buffer, options = {}) => {
+  try {
+    // A silent virtual console keeps CSS parse warnings out of the logs
+    const dom = new JSDOM(buffer.toString('utf8'), {
+      url: options.url && /^https?:\/\//.test(options.url) ? options.url : undefined,
+      virtualConsole: new VirtualConsole()
+    });
+    const article = new Readability(dom.window.document).parse();
+    if (!article) {
+      throw new Error('No readable article content found');
+    }
+
+    const content = new JSDOM(article.content, { virtualConsole: new VirtualConsole() }).window.document;
+    const blockSelector = 'h1, h2, h3, h4, h5, h6, p, li, pre, blockquote, tr, figcaption, dt, dd';
+    const blocks = [];
+
+    for (const element of content.querySelectorAll(blockSelector)) {
+      // Nested blocks (a <p> inside an <li>) are read with their parent
+      if (element.parentElement && element.parentElement.closest(blockSelector)) continue;
+
+      const text = element.tagName === 'TR'
+        ? Array.from(element.children, cell => cell.textContent.trim()).filter(Boolean).join(' ')
+        : element.textContent.replace(/\s+/g, ' ').trim();
+      if (!text) continue;
+
+      blocks.push(/^H[1-6]$/.test(element.tagName) ? `# ${text}` : text);
+    }
+
+    const text = blocks.join('\n\n') || (article.textContent || '').trim();
+    return {
+      text,
+      pages: [text],
+      numPages: null,
+      pageUnit: null,
+      title: article.title || null,
+      info: {
+        byline: article.byline || null,
+        siteName: article.siteName || null,
+        url: options.url || null
+      },
+      metadata: null
+    };
+  } catch (error) {
+    console.error('HTML extraction error:', error.message);
+    throw new Error(`Failed to extract article from web page: ${error.message}`);
+  }
+};
+
+// Parse an SRT or WebVTT timestamp ("01:02:03,500", "02:03.500") into seconds
+const parseTimestamp = (timestamp) => {
+  const parts = timestamp.trim().replace(',', '.').split(':').map(parseFloat);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+// Extract the cues of an SRT or WebVTT subtitle file, one page per cue
+const extractTextFromSubtitles = async (buffer) => {
+  const cues = [];
+
+  for (const block of buffer.toString('utf8').replace(/\r/g, '').split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue; // WEBVTT header, NOTE and STYLE blocks
+
+    const [start, end] = lines[timingIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+    const text = lines.slice(timingIndex + 1)
+      .map(line => line.replace(/<[^>]+>/g, '').trim()) // styling and karaoke timing tags
+      .filter(Boolean)
+      .join(' ');
+
+    // Auto-generated captions repeat the previous line as they scroll
+    const previous = cues[cues.length - 1];
+    if (!text || (previous && previous.text === text)) {
+      if (previous && text) previous.end = parseTimestamp(end);
+      continue;
+    }
+
+    cues.push({ start: parseTimestamp(start), end: parseTimestamp(end), text });
+  }
+
+  if (cues.length === 0) {
+    throw new Error('No subtitle cues found');
+  }
+
+  return {
+    text: cues.map(cue => cue.text).join('\n'),
+    pages: cues.map(cue => cue.text),
+    numPages: cues.length,
+    pageUnit: null,
+    timestamps: cues.map(cue => ({ start: cue.start, end: cue.end })),
+    info: null,
+    metadata: null
+  };
+};
+
+// Supported file types, keyed by the value stored in sources.file_type
+const extractors = {
+  pdf: {
+    mimeTypes: ['application/pdf'],
+    extensions: ['.pdf'],
+    extract: extractTextFromPDF
+  },
+  docx: {
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx'],
+    extract: extractTextFromDOCX
+  },
+  pptx: {
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    extensions: ['.pptx'],
+    extract: extractTextFromPPTX
+  },
+  md: {
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    extensions: ['.md', '.markdown'],
+    extract: extractTextFromMarkdown
+  },
+  txt: {
+    mimeTypes: ['text/plain'],
+    extensions: ['.txt'],
+    extract: extractTextFromTXT
+  },
+  html: {
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extensions: ['.html', '.htm'],
+    extract: extractTextFromHTML
+  },
+  srt: {
+    mimeTypes: ['application/x-subrip', 'text/srt'],
+    extensions: ['.srt'],
+    extract: extractTextFromSubtitles
+  },
+  vtt: {
+    mimeTypes: ['text/vtt'],
+    extensions: ['.vtt'],
+    extract: extractTextFromSubtitles
+  }
+};
+
+// Work out the file type from the file name, falling back to the MIME type
+// (browsers often send Markdown as text/plain or application/octet-stream)
+const detectFileType = ({ fileName, mimeType } = {}) => {
+  const extension = fileName ? path.extname(fileName.split('?')[0]).toLowerCase() : '';
+
+  const byExtension = Object.keys(extractors).find(type => extractors[type].extensions.includes(extension));
+  if (byExtension) {
+    return byExtension;
+  }
+
+  return Object.keys(extractors).find(type => extractors[type].mimeTypes.includes(mimeType)) || null;
+};
+
+// Extract text from a file buffer using the extractor for its type
+const extractContent = async (fileType, buffer, options = {}) => {
+  const extractor = extractors[fileType];
+  if (!extractor) {
+    throw new Error(`Unsupported file type: ${fileType}`);
+  }
+  return extractor.extract(buffer, options);
+};
+
+module.exports = {
+  SUPPORTED_FILE_TYPES: Object.keys(extractors),
+  detectFileType,
+  extractContent,
+  extractTextFromPDF,
+  extractTextFromDOCX,
+  extractTextFromPPTX
+};
@@ -0,0 +1,122 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const path = require('path');
+
+const execFileAsync = promisify(execFile);
+
+// Embedded images are pulled out of PDFs with poppler's pdfimages (the same
+// poppler-utils package the OCR fallback uses) and stored under
+// FIGURES_DIR/<sourceId>/; file paths in source_figures are relative to FIGURES_DIR.
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads');
+const FIGURES_DIR = path.join(UPLOAD_DIR, 'figures');
+const FIGURE_MIN_DIMENSION = parseInt(process.env.FIGURE_MIN_DIMENSION) || 100; // px; smaller images are logos and icons
+const FIGURE_TIMEOUT_MS = parseInt(process.env.FIGURE_TIMEOUT_MS) || 120000;
+const PDFIMAGES_PATH = process.env.PDFIMAGES_PATH || 'pdfimages';
+
+const CAPTION_PATTERN = /^(figure|fig\.|รูปที่|ภาพที่)\s*[\dIVX]+/i;
+
+// Caption lines on a page ("Figure 3. Nephron anatomy"), in reading order
+const getFigureCaptions = (pageText) => {
+  return pageText.split('\n')
+    .map(line => line.trim())
+    .filter(line => CAPTION_PATTERN.test(line));
+};
+
+// Parse `pdfimages -list` into { [imageNumber]: { page, width, height } }, skipping masks
+const parseImageList = (listOutput) => {
+  const images = {};
+  for (const row of listOutput.split('\n').slice(2)) {
+    const [page, num, type, width, height] = row.trim().split(/\s+/);
+    if (type === 'image') {
+      images[parseInt(num)] = { page: parseInt(page), width: parseInt(width), height: parseInt(height) };
+    }
+  }
+  return images;
+};
+
+// Extract a PDF's embedded images to FIGURES_DIR/<sourceId>/, replacing any earlier extraction,
+// and pair them with the page's caption lines in order.
+// Returns [{ page, figureIndex, caption, filePath, width, height }]; [] if pdfimages isn't installed.
+const extractFigures = async (pdfBuffer, sourceId, pages) => {
+  const outputDir = path.join(FIGURES_DIR, String(sourceId));
+  await fs.rm(outputDir, { recursive: true, force: true });
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const pdfPath = path.join(outputDir, 'source.pdf');
+
+  try {
+    await fs.writeFile(pdfPath, pdfBuffer);
+
+    let listOutput;
+    try {
+      ({ stdout: listOutput } = await execFileAsync(PDFIMAGES_PATH, ['-list', pdfPath], { timeout: FIGURE_TIMEOUT_MS }));
+    } catch (error) {
+      console.warn(`⚠️ Figure extraction unavailable: ${error.message}`);
+      return [];
+    }
+
+    const images = parseImageList(listOutput);
+    if (Object.keys(images).length === 0) {
+      return [];
+    }
+
+    // -p puts the page number in file names: img-<page>-<num>.png
+    await execFileAsync(PDFIMAGES_PATH, ['-png', '-p', pdfPath, path.join(outputDir, 'img')], {
+      timeout: FIGURE_TIMEOUT_MS
+    });
+
+    const figures = [];
+    const files = (await fs.readdir(outputDir)).filter(name => /^img-\d+-\d+\.png$/.test(name)).sort();
+
+    for (const fileName of files) {
+      const [, pageNumber, imageNumber] = fileName.match(/^img-(\d+)-(\d+)\.png$/).map(Number);
+      const image = images[imageNumber];
+
+      if (!image || image.width < FIGURE_MIN_DIMENSION || image.height < FIGURE_MIN_DIMENSION) {
+        await fs.unlink(path.join(outputDir, fileName));
+        continue;
+      }
+
+      const figureIndex = figures.filter(figure => figure.page === pageNumber).length;
+      const captions = getFigureCaptions(pages[pageNumber - 1] || '');
+
+      figures.push({
+        page: pageNumber,
+        figureIndex,
+        caption: captions[figureIndex] || null,
+        filePath: path.join(String(sourceId), fileName),
+        width: image.width,
+        height: image.height
+      });
+    }
+
+    return figures;
+
+  } finally {
+    await fs.rm(pdfPath, { force: true });
+  }
+};
+
+// Copy a source's extracted figure files to another source (for reused identical files)
+const copyFigureFiles = async (fromSourceId, toSourceId) => {
+  const fromDir = path.join(FIGURES_DIR, String(fromSourceId));
+  const toDir = path.join(FIGURES_DIR, String(toSourceId));
+  await fs.rm(toDir, { recursive: true, force: true });
+  await fs.cp(fromDir, toDir, { recursive: true }).catch(error => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+};
+
+const removeFigureFiles = async (sourceId) => {
+  await fs.rm(path.join(FIGURES_DIR, String(sourceId)), { recursive: true, force: true });
+};
+
+module.exports = {
+  FIGURES_DIR,
+  extractFigures,
+  copyFigureFiles,
+  removeFigureFiles,
+  getFigureCaptions
+};
@@ -0,0 +1,267 @@
+const { query, withTransaction } = require('../models/database');
+
+// Groups (a class, a cohort, a study circle) and sharing of sources and study sets with them.
+// Members get read-only or editable access to what's shared with their groups; only the
+// owner of a source or study set can delete it or share it. Review scheduling stays
+// per user (see item_reviews in sm2Algorithm).
+
+const GROUP_ROLES = ['owner', 'admin', 'member'];
+const SHARE_PERMISSIONS = ['read', 'edit'];
+
+// Where shares of each kind of item are recorded
+const SHARE_KINDS = {
+  source: { table: 'sources', sharesTable: 'source_shares', column: 'source_id' },
+  studySet: { table: 'study_sets', sharesTable: 'study_set_shares', column: 'study_set_id' }
+};
+
+// SQL condition: the user given by userParam owns the row at alias, or it is shared with
+// one of their groups (with edit permission when requireEdit is set)
+const accessConditionSql = (kind, alias, userParam, { requireEdit = false } = {}) => {
+  const { sharesTable, column } = SHARE_KINDS[kind];
+  return `(${alias}.user_id = ${userParam} OR EXISTS (
+    SELECT 1 FROM ${sharesTable} sh
+    JOIN group_members gm ON gm.group_id = sh.group_id
+    WHERE sh.${column} = ${alias}.id AND gm.user_id = ${userParam}${requireEdit ? " AND sh.permission = 'edit'" : ''}
+  ))`;
+};
+
+// SQL expression for the user's access to the row at alias: 'owner', 'edit', 'read' or NULL
+const accessLevelSql = (kind, alias, userParam) => {
+  const { sharesTable, column } = SHARE_KINDS[kind];
+  return `CASE WHEN ${alias}.user_id = ${userParam} THEN 'owner' ELSE (
+    SELECT CASE WHEN bool_or(sh.permission = 'edit') THEN 'edit' WHEN COUNT(*) > 0 THEN 'read' END
+    FROM ${sharesTable} sh
+    JOIN group_members gm ON gm.group_id = sh.group_id
+    WHERE sh.${column} = ${alias}.id AND gm.user_id = ${userParam}
+  ) END`;
+};
+
+// The user's access to a source or study set: 'owner', 'edit', 'read', or null if none
+const getAccess = async (kind, itemId, userId) => {
+  const { table } = SHARE_KINDS[kind];
+  const result = await query(
+    `SELECT ${accessLevelSql(kind, 'i', '$2')} as access FROM ${table} i WHERE i.id = $1`,
+    [itemId, userId]
+  );
+  return result.rows[0]?.access || null;
+};
+
+const canEdit = (access) => access === 'owner' || access === 'edit';
+
+// Create a group with the creator as its owner
+const createGroup = async (userId, { name, description = null }) => {
+  return withTransaction(async (client) => {
+    const groupResult = await client.query(`
+      INSERT INTO study_groups (name, description, created_by)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [name, description, userId]);
+    const group = groupResult.rows[0];
+
+    await client.query(
+      'INSERT INTO group_members (group_id, user_id, role) VALUES ($1, $2, $3)',
+      [group.id, userId, 'owner']
+    );
+
+    return { ...group, role: 'owner' };
+  });
+};
+
+// Groups the user belongs to, with their role and how much is shared in each
+const getUserGroups = async (userId) => {
+  const result = await query(`
+    SELECT g.*, gm.role,
+           (SELECT COUNT(*) FROM group_members m WHERE m.group_id = g.id) as member_count,
+           (SELECT COUNT(*) FROM source_shares ss WHERE ss.group_id = g.id) as source_count,
+           (SELECT COUNT(*) FROM study_set_shares st WHERE st.group_id = g.id) as study_set_count
+    FROM study_groups g
+    JOIN group_members gm ON gm.group_id = g.id
+    WHERE gm.user_id = $1
+    ORDER BY g.name
+  `, [userId]);
+
+  return result.rows.map(row => ({
+    ...row,
+    member_count: parseInt(row.member_count),
+    source_count: parseInt(row.source_count),
+    study_set_count: parseInt(row.study_set_count)
+  }));
+};
+
+// The user's role in a group, or null if they aren't a member
+const getMemberRole = async (groupId, userId) => {
+  const result = await query(
+    'SELECT role FROM group_members WHERE group_id = $1 AND user_id = $2',
+    [groupId, userId]
+  );
+  return result.rows[0]?.role || null;
+};
+
+const getGroup = async (groupId) => {
+  const [groupResult, membersResult] = await Promise.all([
+    query('SELECT * FROM study_groups WHERE id = $1', [groupId]),
+    query(`
+      SELECT u.id as user_id, u.full_name, u.email, gm.role, gm.joined_at
+      FROM group_members gm
+      JOIN users u ON gm.user_id = u.id
+      WHERE gm.group_id = $1
+      ORDER BY array_position(ARRAY['owner', 'admin', 'member']::varchar[], gm.role), u.full_name
+    `, [groupId])
+  ]);
+
+  if (groupResult.rows.length === 0) {
+    return null;
+  }
+
+  return { ...groupResult.rows[0], members: membersResult.rows };
+};
+
+const updateGroup = async (groupId, { name, description }) => {
+  const result = await query(`
+    UPDATE study_groups
+    SET name = COALESCE($1, name), description = COALESCE($2, description), updated_at = NOW()
+    WHERE id = $3
+    RETURNING *
+  `, [name ?? null, description ?? null, groupId]);
+  return result.rows[0] || null;
+};
+
+// Deleting a group removes its memberships and shares; the shared items stay with their owners
+const deleteGroup = async (groupId) => {
+  const result = await query('DELETE FROM study_groups WHERE id = $1 RETURNING id', [groupId]);
+  return result.rows[0] || null;
+};
+
+// Add a registered user by email. Returns { member } or { error: 'not_found' | 'already_member' }.
+const addGroupMember = async (groupId, email, role = 'member') => {
+  const userResult = await query(
+    'SELECT id, full_name, email FROM users WHERE LOWER(email) = LOWER($1)',
+    [email]
+  );
+  const user = userResult.rows[0];
+  if (!user) {
+    return { error: 'not_found' };
+  }
+
+  const result = await query(`
+    INSERT INTO group_members (group_id, user_id, role)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (group_id, user_id) DO NOTHING
+    RETURNING role, joined_at
+  `, [groupId, user.id, role]);
+
+  if (result.rows.length === 0) {
+    return { error: 'already_member' };
+  }
+
+  return {
+    member: { user_id: user.id, full_name: user.full_name, email: user.email, ...result.rows[0] }
+  };
+};
+
+// Change a member's role; the owner's role can't be changed
+const updateMemberRole = async (groupId, userId, role) => {
+  const result = await query(`
+    UPDATE group_members SET role = $1
+    WHERE group_id = $2 AND user_id = $3 AND role <> 'owner'
+    RETURNING user_id, role
+  `, [role, groupId, userId]);
+  return result.rows[0] || null;
+};
+
+// Remove a member (the owner can't be removed). Their shares into the group go with them.
+const removeGroupMember = async (groupId, userId) => {
+  return withTransaction(async (client) => {
+    const result = await client.query(`
+      DELETE FROM group_members
+      WHERE group_id = $1 AND user_id = $2 AND role <> 'owner'
+      RETURNING user_id
+    `, [groupId, userId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    await client.query(
+      'DELETE FROM source_shares WHERE group_id = $1 AND source_id IN (SELECT id FROM sources WHERE user_id = $2)',
+      [groupId, userId]
+    );
+    await client.query(
+      'DELETE FROM study_set_shares WHERE group_id = $1 AND study_set_id IN (SELECT id FROM study_sets WHERE user_id = $2)',
+      [groupId, userId]
+    );
+
+    return result.rows[0];
+  });
+};
+
+// Share an item the user owns with a group, or change the permission of an existing share.
+// Returns the share, or null when the user doesn't own the item.
+const shareWithGroup = async (kind, itemId, groupId, userId, permission = 'read') => {
+  const { table, sharesTable, column } = SHARE_KINDS[kind];
+
+  const result = await query(`
+    INSERT INTO ${sharesTable} (${column}, group_id, permission, shared_by)
+    SELECT id, $2, $3, $4 FROM ${table} WHERE id = $1 AND user_id = $4
+    ON CONFLICT (${column}, group_id) DO UPDATE SET permission = EXCLUDED.permission
+    RETURNING *
+  `, [itemId, groupId, permission, userId]);
+
+  return result.rows[0] || null;
+};
+
+const unshareFromGroup = async (kind, itemId, groupId) => {
+  const { sharesTable, column } = SHARE_KINDS[kind];
+  const result = await query(
+    `DELETE FROM ${sharesTable} WHERE ${column} = $1 AND group_id = $2 RETURNING *`,
+    [itemId, groupId]
+  );
+  return result.rows[0] || null;
+};
+
+// Sources and study sets shared with a group
+const getGroupLibrary = async (groupId) => {
+  const [sources, studySets] = await Promise.all([
+    query(`
+      SELECT s.id, s.title, s.file_type, s.page_count, s.tags, s.upload_status, s.created_at,
+             sh.permission, sh.created_at as shared_at, u.full_name as shared_by
+      FROM source_shares sh
+      JOIN sources s ON sh.source_id = s.id
+      JOIN users u ON s.user_id = u.id
+      WHERE sh.group_id = $1
+      ORDER BY sh.created_at DESC
+    `, [groupId]),
+    query(`
+      SELECT ss.id, ss.title, ss.description, ss.topics, ss.difficulty_level, ss.generated_at,
+             sh.permission, sh.created_at as shared_at, u.full_name as shared_by
+      FROM study_set_shares sh
+      JOIN study_sets ss ON sh.study_set_id = ss.id
+      JOIN users u ON ss.user_id = u.id
+      WHERE sh.group_id = $1
+      ORDER BY sh.created_at DESC
+    `, [groupId])
+  ]);
+
+  return { sources: sources.rows, studySets: studySets.rows };
+};
+
+module.exports = {
+  GROUP_ROLES,
+  SHARE_PERMISSIONS,
+  accessConditionSql,
+  accessLevelSql,
+  getAccess,
+  canEdit,
+  createGroup,
+  getUserGroups,
+  getMemberRole,
+  getGroup,
+  updateGroup,
+  deleteGroup,
+  addGroupMember,
+  updateMemberRole,
+  removeGroupMember,
+  shareWithGroup,
+  unshareFromGroup,
+  getGroupLibrary
+};
@@ -0,0 +1,191 @@
+const { generateAIContent } = require('./aiService');
+const { formatChunkCitation, estimateTokens } = require('./uploadProcessor');
+const { checkItems } = require('./itemQuality');
+
+// Flashcards and MCQs are generated map-reduce style so that every retrieved chunk is
+// read: chunks are packed into prompt-sized batches per topic, each batch yields
+// candidate items that cite its excerpts, and the candidates that pass the quality
+// checks are picked round-robin across topics, best supported first.
+
+// Excerpt tokens per generation prompt
+const GENERATION_BATCH_TOKENS = parseInt(process.env.GENERATION_BATCH_TOKENS) || 3000;
+// Excerpt tokens in the summary prompt
+const SUMMARY_CONTEXT_TOKENS = parseInt(process.env.SUMMARY_CONTEXT_TOKENS) || 6000;
+// Candidates requested per item kept, so quality checks and balancing have room to choose
+const CANDIDATE_OVERSAMPLING = 1.5;
+
+// Chunk text for generation prompts, with the chunk's tables laid out row by row
+// so questions can be written about doses and reference ranges
+const formatChunkContent = (chunk) => {
+  const tables = chunk.metadata?.tables || [];
+  return [
+    chunk.chunk_text,
+    ...tables.map(table => [
+      table.caption || 'Table:',
+      ...table.rows.map(row => row.join(' | '))
+    ].join('\n'))
+  ].join('\n\n');
+};
+
+// Numbered excerpts for flashcard and MCQ prompts; items cite them by number
+const formatGenerationExcerpts = (chunks) => {
+  return chunks.map((chunk, index) => {
+    return `[${index + 1}] (${formatChunkCitation(chunk)})\n${formatChunkContent(chunk)}`;
+  }).join('\n\n');
+};
+
+// Chunk ids for the excerpt numbers an item cites, ignoring numbers that match no excerpt
+const citedChunkIds = (markers = [], chunks) => {
+  return markers
+    .filter(marker => marker >= 1 && marker <= chunks.length)
+    .map(marker => chunks[marker - 1].id);
+};
+
+// Group chunks by the first of the topics that retrieved them, keeping retrieval order
+const groupByTopic = (chunks, topics) => {
+  const groups = new Map(topics.map(topic => [topic, []]));
+  for (const chunk of chunks) {
+    const topic = (chunk.topics || []).find(candidate => groups.has(candidate)) ?? topics[0] ?? null;
+    if (!groups.has(topic)) {
+      groups.set(topic, []);
+    }
+    groups.get(topic).push(chunk);
+  }
+
+  return [...groups]
+    .filter(([, topicChunks]) => topicChunks.length > 0)
+    .map(([topic, topicChunks]) => ({ topic, chunks: topicChunks }));
+};
+
+// Pack each topic's chunks into batches of at most maxTokens (a larger chunk gets a batch
+// of its own), in document order so neighbouring chunks are read together
+const batchChunks = (chunks, topics, maxTokens = GENERATION_BATCH_TOKENS) => {
+  const batches = [];
+
+  for (const group of groupByTopic(chunks, topics)) {
+    const ordered = [...group.chunks].sort((a, b) => {
+      return String(a.source_id).localeCompare(String(b.source_id)) || a.chunk_index - b.chunk_index;
+    });
+
+    let current = null;
+    for (const chunk of ordered) {
+      const tokens = estimateTokens(formatChunkContent(chunk));
+      if (!current || current.tokens + tokens > maxTokens) {
+        current = { topic: group.topic, chunks: [], tokens: 0 };
+        batches.push(current);
+      }
+      current.chunks.push(chunk);
+      current.tokens += tokens;
+    }
+  }
+
+  return batches;
+};
+
+// Take candidates round-robin across topics, each topic's best supported first
+const pickBalanced = (candidates, count) => {
+  const queues = new Map();
+  for (const candidate of candidates) {
+    if (!queues.has(candidate.topic)) {
+      queues.set(candidate.topic, []);
+    }
+    queues.get(candidate.topic).push(candidate);
+  }
+
+  const picked = [];
+  while (picked.length < count && [...queues.values()].some(queue => queue.length > 0)) {
+    for (const queue of queues.values()) {
+      if (queue.length > 0 && picked.length < count) {
+        picked.push(queue.shift());
+      }
+    }
+  }
+  return picked;
+};
+
+// Generate up to `count` flashcards or MCQs over all of the chunks. Returns { items, rejected }:
+// each item has the chunk ids it cites (sourceChunkIds), the topic of its batch and its
+// qualityFlags; rejected lists the candidates that failed the quality checks, with reasons.
+// A batch that fails is skipped; the call only fails when no batch produced anything.
+const generateItems = async (type, chunks, topics, { count, checkCancelled = async () => {} } = {}) => {
+  const batches = batchChunks(chunks, topics);
+  const totalTokens = batches.reduce((sum, batch) => sum + batch.tokens, 0);
+  const candidates = [];
+  let lastError = null;
+
+  for (const batch of batches) {
+    await checkCancelled();
+    const batchCount = Math.max(1, Math.ceil(count * CANDIDATE_OVERSAMPLING * batch.tokens / totalTokens));
+
+    try {
+      const items = await generateAIContent(
+        type,
+        formatGenerationExcerpts(batch.chunks),
+        batch.topic ? [batch.topic] : topics,
+        { count: batchCount }
+      );
+
+      for (const item of items) {
+        const sourceChunkIds = citedChunkIds(item.sources, batch.chunks);
+        // Rank by the retrieval score of the best chunk cited; uncited items come last
+        const support = Math.max(-1, ...batch.chunks
+          .filter(chunk => sourceChunkIds.includes(chunk.id))
+          .map(chunk => chunk.score || 0));
+        candidates.push({ ...item, topic: batch.topic, sourceChunkIds, support });
+      }
+    } catch (error) {
+      console.error(`Failed to generate ${type} for a batch of ${batch.chunks.length} chunks:`, error.message);
+      lastError = error;
+    }
+  }
+
+  if (candidates.length === 0 && lastError) {
+    throw lastError;
+  }
+
+  const ranked = [...candidates].sort((a, b) => b.support - a.support);
+  const chunkTexts = new Map(chunks.map(chunk => [chunk.id, formatChunkContent(chunk)]));
+  const { accepted, rejected } = checkItems(type, ranked, chunkTexts);
+
+  // Flagged items are only used when there aren't enough clean ones
+  const preferred = [...accepted].sort((a, b) => (a.qualityFlags.length > 0) - (b.qualityFlags.length > 0));
+  const items = pickBalanced(preferred, count).map(({ support, ...item }) => item);
+
+  console.log(`🧩 ${type}: ${candidates.length} candidates from ${batches.length} batches, ${rejected.length} rejected, kept ${items.length}`);
+  return {
+    items,
+    rejected: rejected.map(({ item: { support, ...item }, reasons }) => ({ item, reasons }))
+  };
+};
+
+// Summary prompt content within SUMMARY_CONTEXT_TOKENS, taking whole chunks round-robin
+// across topics (best first) so every topic is represented
+const formatSummaryContent = (chunks, topics, maxTokens = SUMMARY_CONTEXT_TOKENS) => {
+  const queues = groupByTopic(chunks, topics).map(group => [...group.chunks]);
+  const selected = [];
+  let tokens = 0;
+
+  while (queues.some(queue => queue.length > 0)) {
+    for (const queue of queues) {
+      const chunk = queue.shift();
+      if (!chunk) {
+        continue;
+      }
+      const chunkTokens = estimateTokens(formatChunkContent(chunk));
+      if (tokens + chunkTokens <= maxTokens || selected.length === 0) {
+        selected.push(chunk);
+        tokens += chunkTokens;
+      }
+    }
+  }
+
+  return selected.map(formatChunkContent).join('\n\n');
+};
+
+module.exports = {
+  formatChunkContent,
+  formatGenerationExcerpts,
+  batchChunks,
+  generateItems,
+  formatSummaryContent
+};
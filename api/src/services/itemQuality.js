@@ -0,0 +1,134 @@
+const { extractTerms } = require('./textSegmentation');
+
+// Quality checks for generated flashcards and MCQs. Items that can't be used are rejected
+// with their reasons, which are stored in generation_rejections for analytics; usable items
+// that look doubtful are kept with quality flags so an editor can review them.
+
+// Items whose question terms overlap at least this much (Jaccard) are duplicates
+const DUPLICATE_SIMILARITY = 0.8;
+// Share of the answer's terms that should appear in the excerpts the item cites
+const MIN_ANSWER_SUPPORT = 0.5;
+const MIN_QUESTION_TERMS = 4;
+
+const REJECTION_REASONS = [
+  'duplicate',
+  'answer_in_question',
+  'answer_in_distractors',
+  'too_few_distractors',
+  'rejected_by_reviewer'
+];
+const QUALITY_FLAGS = ['uncited', 'answer_not_in_source', 'short_question'];
+
+const termsOf = (text) => extractTerms(String(text || '').toLowerCase());
+const normalize = (text) => termsOf(text).join(' ');
+
+const questionOf = (type, item) => (type === 'flashcards' ? item.front : item.question);
+const answerOf = (type, item) => (type === 'flashcards' ? item.back : item.correct_answer);
+
+const termSimilarity = (termsA, termsB) => {
+  if (termsA.size === 0 || termsB.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  for (const term of termsA) {
+    if (termsB.has(term)) {
+      shared++;
+    }
+  }
+  return shared / (termsA.size + termsB.size - shared);
+};
+
+// Whole-term containment of normalized text ("renal artery" matches, "art" doesn't)
+const containsPhrase = (text, phrase) => phrase.length > 0 && ` ${text} `.includes(` ${phrase} `);
+
+// Why an item can't be used, on its own merits (empty when it passes)
+const rejectionReasons = (type, item) => {
+  const reasons = [];
+  const answer = normalize(answerOf(type, item));
+
+  if (containsPhrase(normalize(questionOf(type, item)), answer)) {
+    reasons.push('answer_in_question');
+  }
+
+  if (type === 'mcqs') {
+    const distractors = new Set(item.distractors.map(normalize).filter(Boolean));
+    if (distractors.has(answer)) {
+      reasons.push('answer_in_distractors');
+      distractors.delete(answer);
+    }
+    if (distractors.size < 3) {
+      reasons.push('too_few_distractors');
+    }
+  }
+
+  return reasons;
+};
+
+// Signs that an item may be wrong or unclear; chunkTexts maps chunk id to its text
+const qualityFlags = (type, item, chunkTexts) => {
+  const flags = [];
+  const citedTexts = (item.sourceChunkIds || [])
+    .map(id => chunkTexts.get(id))
+    .filter(Boolean);
+
+  if (citedTexts.length === 0) {
+    flags.push('uncited');
+  } else {
+    const sourceTerms = new Set(citedTexts.flatMap(termsOf));
+    const answerTerms = [...new Set(termsOf(answerOf(type, item)))];
+    const supported = answerTerms.filter(term => sourceTerms.has(term)).length;
+    if (answerTerms.length > 0 && supported / answerTerms.length < MIN_ANSWER_SUPPORT) {
+      flags.push('answer_not_in_source');
+    }
+  }
+
+  if (termsOf(questionOf(type, item)).length < MIN_QUESTION_TERMS) {
+    flags.push('short_question');
+  }
+
+  return flags;
+};
+
+// Check candidates in order of preference (a duplicate of an earlier accepted item is
+// rejected). Returns { accepted, rejected }: accepted items gain qualityFlags, rejected
+// entries are { item, reasons }.
+const checkItems = (type, candidates, chunkTexts = new Map()) => {
+  const accepted = [];
+  const rejected = [];
+
+  for (const candidate of candidates) {
+    const reasons = rejectionReasons(type, candidate);
+    const questionTerms = new Set(termsOf(questionOf(type, candidate)));
+    if (accepted.some(other => termSimilarity(questionTerms, other.questionTerms) >= DUPLICATE_SIMILARITY)) {
+      reasons.push('duplicate');
+    }
+
+    if (reasons.length > 0) {
+      rejected.push({ item: candidate, reasons });
+    } else {
+      accepted.push({ ...candidate, qualityFlags: qualityFlags(type, candidate, chunkTexts), questionTerms });
+    }
+  }
+
+  return {
+    accepted: accepted.map(({ questionTerms, ...item }) => item),
+    rejected
+  };
+};
+
+// Store rejected items for analytics (itemType is 'flashcard' or 'mcq')
+const recordRejections = async (client, { studySetId, userId, itemType, rejected }) => {
+  for (const { item, reasons } of rejected) {
+    await client.query(`
+      INSERT INTO generation_rejections (study_set_id, user_id, item_type, reasons, item)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [studySetId, userId, itemType, reasons, JSON.stringify(item)]);
+  }
+};
+
+module.exports = {
+  REJECTION_REASONS,
+  QUALITY_FLAGS,
+  checkItems,
+  recordRejections
+};
@@ -0,0 +1,351 @@
+const os = require('os');
+const { EventEmitter } = require('events');
+const { query } = require('../models/database');
+
+// Postgres-backed background job queue.
+// Jobs move queued -> running -> completed, or back to queued with exponential
+// backoff until max_attempts is reached and they end up failed. A job can also be
+// cancelled: straight away while queued, or at the handler's next checkCancelled()
+// while running. A cancel that arrives after the handler's last checkCancelled() is too
+// late: the handler's work is already done, so the job completes.
+
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const JOB_BACKOFF_BASE_MS = parseInt(process.env.JOB_BACKOFF_BASE_MS) || 30000;
+const JOB_BACKOFF_MAX_MS = 60 * 60 * 1000;
+const JOB_STALE_AFTER_MS = parseInt(process.env.JOB_STALE_AFTER_MS) || 10 * 60 * 1000;
+const JOB_HEARTBEAT_MS = 30000;
+const JOB_RECOVERY_INTERVAL_MS = 60000;
+
+const JOB_CANCELLED = 'JOB_CANCELLED';
+
+const workerHost = os.hostname();
+const workerId = `${workerHost}:${process.pid}`;
+const handlers = {};
+
+// Emits 'update' with the job row whenever a job's progress or status changes in this process
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+let pollTimer = null;
+let lastRecoveryAt = 0;
+let stopping = false;
+
+// Register the function that runs jobs of a type.
+// handler.run(job, { reportProgress, checkCancelled }) does the work;
+// handler.onFailed(job, error) runs once the job has used up its attempts;
+// handler.onCancelled(job) runs once a cancelled job has stopped.
+const registerJobHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+// Add a job to the queue (pass a transaction client to enqueue atomically with other writes)
+const enqueueJob = async (type, payload, options = {}) => {
+  const { userId = null, sourceId = null, maxAttempts = 5, client = null } = options;
+  const runQuery = client ? client.query.bind(client) : query;
+
+  const result = await runQuery(`
+    INSERT INTO jobs (type, user_id, source_id, payload, max_attempts, progress)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [type, userId, sourceId, payload, maxAttempts, { stage: 'queued' }]);
+
+  return result.rows[0];
+};
+
+// Exponential backoff: base * 2^(attempts - 1), capped at one hour
+const getBackoffMs = (attempts) => {
+  return Math.min(JOB_BACKOFF_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), JOB_BACKOFF_MAX_MS);
+};
+
+// Atomically claim the next runnable job
+const claimNextJob = async () => {
+  const result = await query(`
+    UPDATE jobs
+    SET status = 'running', attempts = attempts + 1, locked_at = NOW(), locked_by = $1, updated_at = NOW()
+    WHERE id = (
+      SELECT id FROM jobs
+      WHERE status = 'queued' AND run_at <= NOW()
+      ORDER BY run_at, created_at
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING *
+  `, [workerId]);
+
+  if (result.rows[0]) {
+    jobEvents.emit('update', result.rows[0]);
+  }
+  return result.rows[0] || null;
+};
+
+// Record progress, e.g. { stage: 'embed', current: 40, total: 120 }; also refreshes the heartbeat
+const updateJobProgress = async (jobId, progress) => {
+  const result = await query(
+    'UPDATE jobs SET progress = $1, locked_at = NOW(), updated_at = NOW() WHERE id = $2 RETURNING *',
+    [progress, jobId]
+  );
+  if (result.rows[0]) {
+    jobEvents.emit('update', result.rows[0]);
+  }
+};
+
+// Complete a job whose handler returned. cancel_requested_at is left as it is: a cancel
+// requested after the handler's last check doesn't undo work that has been stored.
+const completeJob = async (jobId, result) => {
+  const updated = await query(`
+    UPDATE jobs
+    SET status = 'completed', result = $1, locked_at = NULL, locked_by = NULL,
+        completed_at = NOW(), updated_at = NOW()
+    WHERE id = $2
+    RETURNING *
+  `, [result || {}, jobId]);
+  if (updated.rows[0]) {
+    jobEvents.emit('update', updated.rows[0]);
+  }
+};
+
+// Reschedule with backoff, or mark failed once attempts are used up (or straight away for
+// errors flagged retryable: false). error_details records why: the error's code (if any)
+// and the stage the job had reached.
+const failJob = async (job, error) => {
+  const exhausted = job.attempts >= job.max_attempts || error.retryable === false;
+  const runAt = new Date(Date.now() + getBackoffMs(job.attempts));
+
+  const updated = await query(`
+    UPDATE jobs
+    SET status = $1, last_error = $2, run_at = $3, locked_at = NULL, locked_by = NULL, updated_at = NOW(),
+        error_details = jsonb_build_object('code', $5::text, 'stage', progress->>'stage', 'message', $2::text)
+    WHERE id = $4
+    RETURNING *
+  `, [exhausted ? 'failed' : 'queued', error.message, runAt, job.id, error.code ? String(error.code) : null]);
+  if (updated.rows[0]) {
+    jobEvents.emit('update', updated.rows[0]);
+  }
+
+  if (exhausted) {
+    console.error(`❌ Job ${job.id} (${job.type}) failed after ${job.attempts} attempts:`, error.message);
+    const handler = handlers[job.type];
+    if (handler && handler.onFailed) {
+      try {
+        await handler.onFailed(job, error);
+      } catch (failureError) {
+        console.error(`Failed to run failure handler for job ${job.id}:`, failureError);
+      }
+    }
+  } else {
+    console.warn(`⚠️ Job ${job.id} (${job.type}) attempt ${job.attempts} failed, retrying at ${runAt.toISOString()}:`, error.message);
+  }
+};
+
+const runCancelledHandler = async (job) => {
+  const handler = handlers[job.type];
+  if (handler && handler.onCancelled) {
+    try {
+      await handler.onCancelled(job);
+    } catch (cancelError) {
+      console.error(`Failed to run cancellation handler for job ${job.id}:`, cancelError);
+    }
+  }
+};
+
+// Ask a job to stop. Queued jobs are cancelled straight away; running jobs stop at their
+// handler's next checkCancelled(), or complete if the handler doesn't check again.
+// Returns the job row, or null if it had already finished.
+const cancelJob = async (jobId) => {
+  const result = await query(`
+    UPDATE jobs
+    SET cancel_requested_at = NOW(),
+        status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+        completed_at = CASE WHEN status = 'queued' THEN NOW() ELSE completed_at END,
+        updated_at = NOW()
+    WHERE id = $1 AND status IN ('queued', 'running')
+    RETURNING *
+  `, [jobId]);
+
+  const job = result.rows[0];
+  if (!job) {
+    return null;
+  }
+
+  jobEvents.emit('update', job);
+  if (job.status === 'cancelled') {
+    await runCancelledHandler(job);
+  }
+  return job;
+};
+
+const markJobCancelled = async (job) => {
+  const updated = await query(`
+    UPDATE jobs
+    SET status = 'cancelled', locked_at = NULL, locked_by = NULL, completed_at = NOW(), updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [job.id]);
+  if (updated.rows[0]) {
+    jobEvents.emit('update', updated.rows[0]);
+  }
+
+  console.log(`🛑 Job ${job.id} (${job.type}) cancelled`);
+  await runCancelledHandler(job);
+};
+
+// A job whose row is gone was deleted with its source or study set, so it is cancelled too
+const isCancelRequested = async (jobId) => {
+  const result = await query('SELECT cancel_requested_at FROM jobs WHERE id = $1', [jobId]);
+  return !result.rows[0] || Boolean(result.rows[0].cancel_requested_at);
+};
+
+// Requeue running jobs whose worker stopped sending heartbeats (crashed or restarted).
+// With ownHost, jobs locked by an earlier process on this host are requeued straight away:
+// that process is gone, so there's no need to wait for their heartbeat to go stale
+// (this assumes one worker process per host, as with one container per instance).
+const recoverStuckJobs = async ({ ownHost = false } = {}) => {
+  try {
+    const result = await query(`
+      UPDATE jobs
+      SET status = 'queued', run_at = NOW(), locked_at = NULL, locked_by = NULL,
+          last_error = 'Worker stopped before the job finished', updated_at = NOW()
+      WHERE status = 'running' AND (
+        locked_at < NOW() - make_interval(secs => $1::float8 / 1000)
+        OR ($2 AND left(locked_by, length($3) + 1) = $3 || ':' AND locked_by <> $4)
+      )
+      RETURNING id
+    `, [JOB_STALE_AFTER_MS, ownHost, workerHost, workerId]);
+
+    if (result.rows.length > 0) {
+      console.log(`♻️ Recovered ${result.rows.length} stuck jobs`);
+    }
+    lastRecoveryAt = Date.now();
+    return result.rows.length;
+
+  } catch (error) {
+    console.error('Job recovery error:', error);
+    return 0;
+  }
+};
+
+// Run a single claimed job
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+  if (!handler) {
+    await failJob({ ...job, attempts: job.max_attempts }, new Error(`No handler registered for job type: ${job.type}`));
+    return;
+  }
+
+  // Keep the heartbeat fresh during long steps that don't report progress
+  const heartbeat = setInterval(() => {
+    query('UPDATE jobs SET locked_at = NOW() WHERE id = $1', [job.id]).catch(() => {});
+  }, JOB_HEARTBEAT_MS);
+
+  try {
+    console.log(`⚙️ Running job ${job.id} (${job.type}), attempt ${job.attempts}/${job.max_attempts}`);
+    const result = await handler.run(job, {
+      reportProgress: (progress) => updateJobProgress(job.id, progress),
+      checkCancelled: async () => {
+        if (await isCancelRequested(job.id)) {
+          throw Object.assign(new Error('Job cancelled'), { code: JOB_CANCELLED });
+        }
+      }
+    });
+    await completeJob(job.id, result);
+    console.log(`✅ Job ${job.id} (${job.type}) completed`);
+  } catch (error) {
+    // A job cancelled mid-step may fail some other way before reaching checkCancelled()
+    if (error.code === JOB_CANCELLED || await isCancelRequested(job.id).catch(() => false)) {
+      await markJobCancelled(job);
+    } else {
+      await failJob(job, error);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+// Worker loop: claim and run jobs one at a time until the queue is empty, then poll
+const pollJobs = async () => {
+  if (stopping) {
+    return;
+  }
+
+  try {
+    if (Date.now() - lastRecoveryAt > JOB_RECOVERY_INTERVAL_MS) {
+      await recoverStuckJobs();
+    }
+
+    let job = await claimNextJob();
+    while (job && !stopping) {
+      await runJob(job);
+      job = stopping ? null : await claimNextJob();
+    }
+  } catch (error) {
+    console.error('Job worker error:', error);
+  } finally {
+    if (!stopping) {
+      pollTimer = setTimeout(pollJobs, JOB_POLL_INTERVAL_MS);
+    }
+  }
+};
+
+// Start the worker; stuck jobs from a previous process are recovered first
+const startJobWorker = async () => {
+  stopping = false;
+  await recoverStuckJobs({ ownHost: true });
+  pollTimer = setTimeout(pollJobs, 0);
+  console.log(`👷 Job worker ${workerId} started`);
+};
+
+const stopJobWorker = () => {
+  stopping = true;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+};
+
+// Get the most recent job for a source
+const getLatestSourceJob = async (sourceId) => {
+  const result = await query(`
+    SELECT * FROM jobs
+    WHERE source_id = $1
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [sourceId]);
+
+  return result.rows[0] || null;
+};
+
+// Shape a job row for API responses
+const formatJob = (job) => {
+  if (!job) {
+    return null;
+  }
+
+  return {
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    progress: job.progress,
+    lastError: job.last_error,
+    errorDetails: job.error_details,
+    nextRunAt: job.status === 'queued' ? job.run_at : null,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    completedAt: job.completed_at
+  };
+};
+
+module.exports = {
+  jobEvents,
+  registerJobHandler,
+  enqueueJob,
+  cancelJob,
+  updateJobProgress,
+  recoverStuckJobs,
+  startJobWorker,
+  stopJobWorker,
+  getLatestSourceJob,
+  getBackoffMs,
+  formatJob
+};
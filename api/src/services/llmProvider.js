@@ -0,0 +1,219 @@
+const axios = require('axios');
+const { segmentWords } = require('./textSegmentation');
+
+// LLM providers share one interface:
+//   complete({ type, model, messages, temperature, maxTokens, context }) -> Promise<string>
+// `context` carries the raw content, topics and item count so offline providers
+// can produce output without parsing prompts. Network providers ignore it.
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// OpenAI and any OpenAI-compatible server (Ollama, vLLM, LM Studio)
+const createOpenAIProvider = ({ name = 'openai', baseUrl = DEFAULT_OPENAI_BASE_URL, apiKey } = {}) => {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name,
+    complete: async ({ model, messages, temperature, maxTokens }) => {
+      try {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+          headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+
+        const response = await axios.post(
+          endpoint,
+          {
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens
+          },
+          {
+            headers,
+            timeout: 60000
+          }
+        );
+
+        if (!response.data || !response.data.choices || response.data.choices.length === 0) {
+          throw new Error(`Invalid response from ${name} API`);
+        }
+
+        return response.data.choices[0].message.content;
+
+      } catch (error) {
+        if (error.response) {
+          console.error(`${name} API error:`, error.response.status, error.response.data);
+          throw new Error(`${name} API error: ${error.response.status} - ${error.response.data?.error?.message || 'Unknown error'}`);
+        } else if (error.request) {
+          console.error(`${name} API network error:`, error.message);
+          throw new Error(`Network error connecting to ${name} API`);
+        }
+        throw error;
+      }
+    }
+  };
+};
+
+// Split text into sentences long enough to turn into study items
+// (Thai marks sentence breaks with a space rather than punctuation)
+const extractSentences = (text) => {
+  return text.split(/(?<=[.!?])\s+|(?<=[\u0E00-\u0E7F])\s+(?=[\u0E00-\u0E7F])|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => segmentWords(sentence).length >= 5);
+};
+
+// Sentences of a numbered excerpt list ("[n] (citation)" header lines), each with its
+// excerpt number; content without headers yields sentences with no number
+const extractExcerptSentences = (content) => {
+  const parts = content.split(/^\[(\d+)\] \(.*\)$/m);
+  const excerpts = [{ marker: null, text: parts[0] }];
+  for (let i = 1; i < parts.length; i += 2) {
+    excerpts.push({ marker: parseInt(parts[i]), text: parts[i + 1] });
+  }
+
+  return excerpts.flatMap(({ marker, text }) => {
+    return extractSentences(text).map(sentence => ({ sentence, sources: marker ? [marker] : [] }));
+  });
+};
+
+// Pick the longest word of a sentence as its key term
+const pickKeyTerm = (sentence) => {
+  const words = segmentWords(sentence).join(' ').match(/[\p{L}\p{N}][\p{L}\p{M}\p{N}-]*/gu) || [];
+  return words.reduce((longest, word) => (word.length > longest.length ? word : longest), '');
+};
+
+// Deterministic offline provider: builds cloze-style items from the content itself,
+// so the whole study pack flow runs in tests and on laptops without an API key
+const createMockProvider = () => {
+  const generators = {
+    summary: ({ content, topics }) => {
+      const sentences = extractSentences(content).slice(0, 5);
+      return [
+        `## Summary: ${topics.join(', ') || 'Uploaded notes'}`,
+        '',
+        ...sentences.map(sentence => `- ${sentence}`)
+      ].join('\n');
+    },
+
+    flashcards: ({ content, count = 20 }) => {
+      const cards = extractExcerptSentences(content).slice(0, count).map(({ sentence, sources }) => {
+        const term = pickKeyTerm(sentence);
+        return {
+          front: `Fill in the blank: ${sentence.replace(term, '_____')}`,
+          back: term,
+          sources
+        };
+      });
+      return JSON.stringify(cards, null, 2);
+    },
+
+    mcqs: ({ content, count = 15 }) => {
+      const sentences = extractExcerptSentences(content);
+      // One distractor per term whatever its case ("Insulin" and "insulin" are the same answer)
+      const terms = sentences
+        .map(({ sentence }) => pickKeyTerm(sentence))
+        .filter((term, index, all) => all.findIndex(other => other.toLowerCase() === term.toLowerCase()) === index);
+
+      const mcqs = sentences.slice(0, count).map(({ sentence, sources }, index) => {
+        const term = pickKeyTerm(sentence);
+        const otherTerms = terms.filter(candidate => candidate.toLowerCase() !== term.toLowerCase());
+        const offset = otherTerms.length > 0 ? index % otherTerms.length : 0;
+        const distractors = [...otherTerms.slice(offset), ...otherTerms.slice(0, offset)].slice(0, 3);
+        while (distractors.length < 3) {
+          distractors.push(`None of the above (${distractors.length + 1})`);
+        }
+
+        return {
+          question: `Which term completes the statement: "${sentence.replace(term, '_____')}"`,
+          correct_answer: term,
+          distractors,
+          explanation: `The source states: "${sentence}"`,
+          sources
+        };
+      });
+      return JSON.stringify(mcqs, null, 2);
+    },
+
+    answer: ({ content }) => {
+      const firstExcerpt = content.match(/^\[1\][^\n]*\n([\s\S]*?)(?:\n\n\[\d+\]|$)/);
+      const sentence = firstExcerpt && extractSentences(firstExcerpt[1])[0];
+      // 'NOT_IN_NOTES' is the refusal sentinel defined in aiService
+      return sentence ? `According to your notes, ${sentence} [1]` : 'NOT_IN_NOTES';
+    }
+  };
+
+  return {
+    name: 'mock',
+    complete: async ({ type, context = {} }) => {
+      const generator = generators[type];
+      if (!generator) {
+        throw new Error(`Mock provider does not support content type: ${type}`);
+      }
+      return generator({ content: '', topics: [], ...context });
+    }
+  };
+};
+
+// Select the provider from LLM_PROVIDER: 'openai' (default), 'openai-compatible' or 'mock'
+const getLLMProvider = () => {
+  const providerName = process.env.LLM_PROVIDER || 'openai';
+
+  switch (providerName) {
+    case 'openai':
+      return createOpenAIProvider({
+        name: 'OpenAI',
+        baseUrl: DEFAULT_OPENAI_BASE_URL,
+        apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY
+      });
+
+    case 'openai-compatible':
+      if (!process.env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+      }
+      return createOpenAIProvider({
+        name: 'LLM',
+        baseUrl: process.env.LLM_BASE_URL,
+        apiKey: process.env.LLM_API_KEY
+      });
+
+    case 'mock':
+      return createMockProvider();
+
+    default:
+      throw new Error(`Unsupported LLM provider: ${providerName}`);
+  }
+};
+
+// Read a numeric setting, treating unset or invalid values as missing
+const readNumber = (value, parse) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const parsed = parse(value);
+  return Number.isNaN(parsed) ? undefined : parsed;
+};
+
+// Resolve model, temperature and max_tokens for a content type,
+// e.g. LLM_MODEL_MCQS overrides LLM_MODEL for MCQ generation
+const getGenerationConfig = (type, defaults = {}) => {
+  const suffix = type.toUpperCase();
+  const env = process.env;
+
+  return {
+    model: env[`LLM_MODEL_${suffix}`] || env.LLM_MODEL || 'gpt-3.5-turbo',
+    temperature: readNumber(env[`LLM_TEMPERATURE_${suffix}`], parseFloat)
+      ?? readNumber(env.LLM_TEMPERATURE, parseFloat)
+      ?? defaults.temperature
+      ?? 0.7,
+    maxTokens: readNumber(env[`LLM_MAX_TOKENS_${suffix}`], parseInt)
+      ?? defaults.maxTokens
+  };
+};
+
+module.exports = {
+  getLLMProvider,
+  getGenerationConfig,
+  createOpenAIProvider,
+  createMockProvider
+};
@@ -4,7 +4,7 @@ const { query } = require('../models/database');
 
 // Email transporter setup (using SendGrid)
 const createEmailTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: 'smtp.sendgrid.net',
     port: 587,
     secure: false,
@@ -252,7 +252,7 @@ const generateEmailContent = (notification) => {
 ${notification.title}
 
 ${notification.message}
-
+${notification.data?.url ? `\n${notification.data.url}\n` : ''}
 ---
 RAMSC Study Assistant
 Ramathibodi Medical Student's Council
@@ -302,6 +302,22 @@ const generateNotificationSpecificContent = (notification) => {
     `;
   }
 
+  if (notification.type === 'email_verification' && notification.data) {
+    return `
+      <div style="text-align: center;">
+        <a href="${notification.data.url}" class="btn">Verify Email ✉️</a>
+      </div>
+    `;
+  }
+
+  if (notification.type === 'password_reset' && notification.data) {
+    return `
+      <div style="text-align: center;">
+        <a href="${notification.data.url}" class="btn">Reset Password 🔑</a>
+      </div>
+    `;
+  }
+
   return '';
 };
 
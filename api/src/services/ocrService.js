@@ -0,0 +1,157 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const execFileAsync = promisify(execFile);
+
+// OCR for scanned PDF pages using locally installed command-line tools:
+// poppler's pdftoppm renders a page to PNG and Tesseract recognises it.
+// Debian/Ubuntu: apt install poppler-utils tesseract-ocr tesseract-ocr-tha tesseract-ocr-eng
+
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'tha+eng';
+const OCR_DPI = parseInt(process.env.OCR_DPI) || 300;
+const OCR_PAGE_TIMEOUT_MS = parseInt(process.env.OCR_PAGE_TIMEOUT_MS) || 120000;
+const TESSERACT_PATH = process.env.TESSERACT_PATH || 'tesseract';
+const PDFTOPPM_PATH = process.env.PDFTOPPM_PATH || 'pdftoppm';
+
+let availability = null;
+
+// Check once that both tools are installed, keeping only the languages that have data files
+const getOcrAvailability = async () => {
+  if (availability) {
+    return availability;
+  }
+
+  if (!OCR_ENABLED) {
+    availability = { available: false, reason: 'OCR is disabled (OCR_ENABLED=false)' };
+    return availability;
+  }
+
+  try {
+    await execFileAsync(PDFTOPPM_PATH, ['-v'], { timeout: 10000 });
+    const { stdout, stderr } = await execFileAsync(TESSERACT_PATH, ['--list-langs'], { timeout: 10000 });
+
+    // Older Tesseract versions print the language list to stderr
+    const installed = `${stdout}\n${stderr}`.split('\n').map(line => line.trim());
+    const requested = OCR_LANGUAGES.split('+');
+    const languages = requested.filter(language => installed.includes(language));
+    const missing = requested.filter(language => !languages.includes(language));
+
+    if (missing.length > 0) {
+      console.warn(`⚠️ Tesseract language data not installed: ${missing.join(', ')}`);
+    }
+
+    availability = languages.length > 0
+      ? { available: true, languages: languages.join('+') }
+      : { available: false, reason: `No Tesseract language data for ${OCR_LANGUAGES}` };
+
+  } catch (error) {
+    availability = { available: false, reason: `OCR tools not found: ${error.message}` };
+  }
+
+  if (!availability.available) {
+    console.warn(`⚠️ OCR unavailable, scanned pages will have no text: ${availability.reason}`);
+  }
+  return availability;
+};
+
+// Turn Tesseract TSV output into text (lines and paragraphs kept) and a mean word confidence
+const parseTesseractTsv = (tsv) => {
+  const paragraphs = [];
+  const confidences = [];
+  let currentParagraph = null;
+  let currentLine = null;
+
+  for (const row of tsv.split('\n').slice(1)) {
+    const columns = row.split('\t');
+    if (columns.length < 12) continue;
+
+    // level 5 rows are words: block, paragraph and line numbers say where they belong
+    const [level, , block, paragraph, line, , , , , , conf, ...textParts] = columns;
+    const text = textParts.join('\t').trim();
+    if (level !== '5' || text.length === 0) continue;
+
+    const paragraphKey = `${block}.${paragraph}`;
+    if (!currentParagraph || currentParagraph.key !== paragraphKey) {
+      currentParagraph = { key: paragraphKey, lines: [] };
+      paragraphs.push(currentParagraph);
+      currentLine = null;
+    }
+    if (!currentLine || currentLine.key !== line) {
+      currentLine = { key: line, words: [] };
+      currentParagraph.lines.push(currentLine);
+    }
+    currentLine.words.push(text);
+
+    const confidence = parseFloat(conf);
+    if (confidence >= 0) {
+      confidences.push(confidence);
+    }
+  }
+
+  return {
+    text: paragraphs
+      .map(para => para.lines.map(textLine => textLine.words.join(' ')).join('\n'))
+      .join('\n\n'),
+    confidence: confidences.length > 0
+      ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length * 10) / 10
+      : 0
+  };
+};
+
+// OCR the given 1-based page numbers of a PDF.
+// Returns { [pageNumber]: { text, confidence } } with confidence as Tesseract's 0-100 mean,
+// or null when OCR isn't available. Pages that fail are skipped.
+const ocrPdfPages = async (pdfBuffer, pageNumbers, options = {}) => {
+  const { available, languages } = await getOcrAvailability();
+  if (!available || pageNumbers.length === 0) {
+    return null;
+  }
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ocr-'));
+  const pdfPath = path.join(workDir, 'source.pdf');
+  const results = {};
+
+  try {
+    await fs.writeFile(pdfPath, pdfBuffer);
+
+    for (let i = 0; i < pageNumbers.length; i++) {
+      const pageNumber = pageNumbers[i];
+      if (options.onProgress) {
+        await options.onProgress(i, pageNumbers.length);
+      }
+
+      try {
+        const imagePrefix = path.join(workDir, `page-${pageNumber}`);
+        await execFileAsync(PDFTOPPM_PATH, [
+          '-r', String(OCR_DPI), '-f', String(pageNumber), '-l', String(pageNumber),
+          '-png', '-singlefile', pdfPath, imagePrefix
+        ], { timeout: OCR_PAGE_TIMEOUT_MS });
+
+        const { stdout } = await execFileAsync(TESSERACT_PATH, [
+          `${imagePrefix}.png`, 'stdout', '-l', languages, 'tsv'
+        ], { timeout: OCR_PAGE_TIMEOUT_MS, maxBuffer: 20 * 1024 * 1024 });
+
+        results[pageNumber] = parseTesseractTsv(stdout);
+        await fs.unlink(`${imagePrefix}.png`);
+
+      } catch (error) {
+        console.error(`OCR failed for page ${pageNumber}:`, error.message);
+      }
+    }
+
+    return results;
+
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  getOcrAvailability,
+  ocrPdfPages,
+  parseTesseractTsv
+};
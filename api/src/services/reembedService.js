@@ -0,0 +1,124 @@
+const { query, withTransaction } = require('../models/database');
+const { generateEmbeddings, getEmbeddingModelInfo } = require('./embeddingService');
+
+// pgvector's ivfflat index supports up to 2000 dimensions
+const MAX_INDEXED_DIMENSION = 2000;
+
+// Create the partial vector index for a dimension if it doesn't exist yet
+const ensureEmbeddingIndex = async (dimension) => {
+  if (dimension > MAX_INDEXED_DIMENSION) {
+    console.warn(`⚠️ Embedding dimension ${dimension} is too large for ivfflat; vector search will not be indexed`);
+    return false;
+  }
+
+  await query(`
+    CREATE INDEX IF NOT EXISTS idx_doc_chunks_embedding_${dimension} ON doc_chunks
+    USING ivfflat ((embedding::vector(${dimension})) vector_cosine_ops) WHERE embedding_dim = ${dimension}
+  `);
+  return true;
+};
+
+// Count chunks per embedding model, and how many still need migrating
+const getEmbeddingStatus = async () => {
+  const { model, dimension } = getEmbeddingModelInfo();
+
+  const result = await query(`
+    SELECT embedding_model, embedding_dim, COUNT(*) as chunk_count
+    FROM doc_chunks
+    GROUP BY embedding_model, embedding_dim
+    ORDER BY chunk_count DESC
+  `);
+
+  const models = result.rows.map(row => ({
+    model: row.embedding_model,
+    dimension: row.embedding_dim,
+    chunkCount: parseInt(row.chunk_count),
+    current: row.embedding_model === model && row.embedding_dim === dimension
+  }));
+
+  return {
+    currentModel: model,
+    currentDimension: dimension,
+    models,
+    pendingChunks: models.filter(m => !m.current).reduce((sum, m) => sum + m.chunkCount, 0)
+  };
+};
+
+// Re-embed every chunk not produced by the current embedding model, in batches.
+// Stored chunk text is reused, so no PDFs are re-uploaded; the job can be stopped
+// and re-run at any time because it only picks up chunks that still need migrating.
+const reembedCorpus = async (options = {}) => {
+  const { batchSize = 100, delayMs = 1000, sourceId = null, onProgress = null } = options;
+  const { model, dimension } = getEmbeddingModelInfo();
+
+  try {
+    const status = await getEmbeddingStatus();
+    const total = sourceId ? null : status.pendingChunks;
+    console.log(`🔁 Re-embedding ${total ?? 'pending'} chunks with ${model} (${dimension} dimensions)`);
+
+    await ensureEmbeddingIndex(dimension);
+
+    const params = [model, dimension];
+    let sourceClause = '';
+    if (sourceId) {
+      params.push(sourceId);
+      sourceClause = ` AND source_id = $${params.length}`;
+    }
+    params.push(batchSize);
+
+    let processed = 0;
+
+    while (true) {
+      const batch = await query(`
+        SELECT id, chunk_text FROM doc_chunks
+        WHERE (embedding_model IS DISTINCT FROM $1 OR embedding_dim IS DISTINCT FROM $2)${sourceClause}
+        ORDER BY id
+        LIMIT $${params.length}
+      `, params);
+
+      if (batch.rows.length === 0) {
+        break;
+      }
+
+      const embeddings = await generateEmbeddings(batch.rows.map(row => row.chunk_text));
+
+      await withTransaction(async (client) => {
+        for (let i = 0; i < batch.rows.length; i++) {
+          await client.query(`
+            UPDATE doc_chunks
+            SET embedding = $1, embedding_model = $2, embedding_dim = $3
+            WHERE id = $4
+          `, [JSON.stringify(embeddings[i]), model, dimension, batch.rows[i].id]);
+        }
+      });
+
+      processed += batch.rows.length;
+      console.log(`🔁 Re-embedded ${processed}${total !== null ? `/${total}` : ''} chunks`);
+      if (onProgress) {
+        await onProgress(processed, total);
+      }
+
+      if (delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+
+    console.log(`✅ Re-embedding completed: ${processed} chunks migrated to ${model}`);
+
+    return {
+      model,
+      dimension,
+      chunksMigrated: processed
+    };
+
+  } catch (error) {
+    console.error('Re-embedding error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  ensureEmbeddingIndex,
+  getEmbeddingStatus,
+  reembedCorpus
+};
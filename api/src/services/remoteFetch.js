@@ -0,0 +1,120 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Fetching user-supplied URLs. Only public addresses may be fetched: the host is resolved
+// and checked before each request (and each redirect), and the agents check the address
+// again at connect time, so a DNS answer can't be swapped for a private one in between.
+
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT, multicast and reserved
+// ranges, and IPv4 addresses written as IPv6 (::ffff:127.0.0.1)
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Error for a URL that may not be fetched; retrying won't change the answer
+const urlNotAllowed = (message) => Object.assign(new Error(message), { code: 'URL_NOT_ALLOWED', retryable: false });
+
+// dns.lookup replacement for the agents: fails when the host resolves to a blocked address
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(urlNotAllowed(`${hostname} resolves to a non-public address`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+// Throw unless url is http(s) and every address its host resolves to is public
+const assertPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw urlNotAllowed('Invalid URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw urlNotAllowed('Only http(s) URLs can be fetched');
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map(({ address }) => address);
+    } catch (error) {
+      throw urlNotAllowed(`Could not resolve ${hostname}`);
+    }
+  }
+
+  if (addresses.some(isBlockedAddress)) {
+    throw urlNotAllowed(`${hostname} is not a public address`);
+  }
+  return parsed;
+};
+
+// axios request (method, responseType, timeout, ...) to a public URL, following redirects
+// only to public URLs. Resolves with the final response, which has finalUrl set.
+const fetchPublicUrl = async (url, config = {}) => {
+  let current = url;
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    await assertPublicUrl(current);
+    const response = await axios({
+      ...config,
+      url: current,
+      maxRedirects: 0,
+      proxy: false,
+      httpAgent,
+      httpsAgent,
+      validateStatus: status => status >= 200 && status < 400
+    });
+
+    if (response.status >= 300 && response.headers.location) {
+      current = new URL(response.headers.location, current).href;
+      continue;
+    }
+    return Object.assign(response, { finalUrl: current });
+  }
+
+  throw Object.assign(new Error(`More than ${MAX_REDIRECTS} redirects`), { code: 'TOO_MANY_REDIRECTS' });
+};
+
+module.exports = {
+  isBlockedAddress,
+  assertPublicUrl,
+  fetchPublicUrl
+};
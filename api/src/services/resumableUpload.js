@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { query } = require('../models/database');
+const { hashFile } = require('./duplicateDetection');
+
+// Resumable uploads for files too large to send in one request.
+// The client opens a session with the file's size and SHA-256, PUTs the bytes in
+// chunks at increasing offsets (asking for the current offset to resume after a
+// dropped connection), then completes the session. The data is streamed straight
+// to UPLOAD_DIR/partial/<uploadId> and only moved next to other uploads once its
+// size and checksum match.
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads');
+const PARTIAL_DIR = path.join(UPLOAD_DIR, 'partial');
+const RESUMABLE_MAX_FILE_SIZE = parseInt(process.env.RESUMABLE_MAX_FILE_SIZE) || 2 * 1024 * 1024 * 1024; // 2GB
+const RESUMABLE_MAX_CHUNK_SIZE = parseInt(process.env.RESUMABLE_MAX_CHUNK_SIZE) || 64 * 1024 * 1024; // 64MB per PUT
+const RESUMABLE_CHUNK_SIZE = 8 * 1024 * 1024; // suggested to clients; small enough to retry cheaply
+const RESUMABLE_SESSION_TTL_HOURS = parseInt(process.env.RESUMABLE_SESSION_TTL_HOURS) || 24;
+// A verification that hasn't finished in this long was interrupted (e.g. by a restart)
+const VERIFY_STALE_AFTER_MINUTES = 15;
+
+// Uploads with a PUT in progress in this process; a second concurrent PUT would interleave writes
+const activeUploads = new Set();
+
+// Errors raised while reading a chunk that the client should hear about
+// (a dropped connection just ends the chunk early)
+const CHUNK_LIMIT_ERRORS = ['CHUNK_TOO_LARGE', 'SIZE_EXCEEDED'];
+
+// An error with a code the routes map to an HTTP status
+const uploadError = (code, message, details = {}) => Object.assign(new Error(message), { code, ...details });
+
+const getPartialPath = (uploadId) => path.join(PARTIAL_DIR, uploadId);
+
+// Open a session and create its empty file
+const createUploadSession = async (userId, { fileName, title, fileSize, mimeType, fileType, checksum, tags = [] }) => {
+  const result = await query(`
+    INSERT INTO upload_sessions (user_id, file_name, title, file_size, mime_type, file_type, checksum, tags, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW() + make_interval(hours => $9))
+    RETURNING *
+  `, [userId, fileName, title || fileName, fileSize, mimeType || null, fileType, checksum.toLowerCase(), tags, RESUMABLE_SESSION_TTL_HOURS]);
+
+  const session = result.rows[0];
+  await fs.promises.mkdir(PARTIAL_DIR, { recursive: true });
+  await fs.promises.writeFile(getPartialPath(session.id), '');
+
+  return session;
+};
+
+const getUploadSession = async (uploadId, userId) => {
+  const result = await query(
+    'SELECT * FROM upload_sessions WHERE id = $1 AND user_id = $2',
+    [uploadId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Write one chunk at the given offset from a request stream.
+// The offset must equal the bytes received so far. If the connection drops mid-chunk,
+// the bytes that reached disk are kept and the client resumes from the new offset.
+// Returns the new offset.
+const appendChunk = async (session, offset, stream) => {
+  if (session.status !== 'uploading') {
+    throw uploadError('NOT_UPLOADING', `Upload is ${session.status}`);
+  }
+  if (offset !== Number(session.bytes_received)) {
+    throw uploadError('OFFSET_MISMATCH', 'Offset does not match the bytes received', { offset: Number(session.bytes_received) });
+  }
+  if (activeUploads.has(session.id)) {
+    throw uploadError('CHUNK_IN_PROGRESS', 'Another chunk is being written to this upload');
+  }
+
+  const remaining = Number(session.file_size) - offset;
+  let received = 0;
+
+  // Stop reading once the chunk is larger than allowed or runs past the declared file size
+  const limiter = new Transform({
+    transform(data, encoding, callback) {
+      received += data.length;
+      if (received > RESUMABLE_MAX_CHUNK_SIZE) {
+        callback(uploadError('CHUNK_TOO_LARGE', `Chunks are limited to ${RESUMABLE_MAX_CHUNK_SIZE} bytes`));
+      } else if (received > remaining) {
+        callback(uploadError('SIZE_EXCEEDED', 'Chunk runs past the declared file size'));
+      } else {
+        callback(null, data);
+      }
+    }
+  });
+
+  const partialPath = getPartialPath(session.id);
+  let streamError = null;
+  activeUploads.add(session.id);
+
+  try {
+    const output = fs.createWriteStream(partialPath, { flags: 'r+', start: offset });
+    try {
+      await pipeline(stream, limiter, output);
+    } catch (error) {
+      streamError = error;
+      // Writes already queued finish before the file is closed
+      if (!output.closed) {
+        await new Promise(resolve => output.once('close', resolve));
+      }
+    }
+
+    // Trim anything past what was flushed (a rejected or half-written chunk)
+    const newOffset = offset + Math.min(output.bytesWritten, remaining);
+    await fs.promises.truncate(partialPath, newOffset);
+
+    await query(
+      'UPDATE upload_sessions SET bytes_received = $1, updated_at = NOW() WHERE id = $2',
+      [newOffset, session.id]
+    );
+
+    if (streamError && CHUNK_LIMIT_ERRORS.includes(streamError.code)) {
+      throw Object.assign(streamError, { offset: newOffset });
+    }
+    return newOffset;
+
+  } finally {
+    activeUploads.delete(session.id);
+  }
+};
+
+// Check a fully received upload against its declared checksum and move it next to
+// other uploads. On a checksum mismatch the data is discarded so the client can start over.
+// Already verified uploads (completion retried after a duplicate prompt) aren't checked again.
+// The session is claimed ('verifying') before hashing, so overlapping completions don't
+// both hash and move the file: the later one gets VERIFYING.
+// Returns { valid, checksum, filePath }.
+const finalizeUpload = async (session) => {
+  if (session.status === 'verified') {
+    return { valid: true, checksum: session.checksum, filePath: path.join(UPLOAD_DIR, session.id) };
+  }
+  if (!['uploading', 'verifying'].includes(session.status)) {
+    throw uploadError('NOT_UPLOADING', `Upload is ${session.status}`);
+  }
+  if (Number(session.bytes_received) !== Number(session.file_size)) {
+    throw uploadError('INCOMPLETE', 'Upload is not complete', { offset: Number(session.bytes_received) });
+  }
+
+  const claimed = await query(`
+    UPDATE upload_sessions SET status = 'verifying', updated_at = NOW()
+    WHERE id = $1 AND bytes_received = file_size
+      AND (status = 'uploading' OR (status = 'verifying' AND updated_at < NOW() - make_interval(mins => $2)))
+    RETURNING id
+  `, [session.id, VERIFY_STALE_AFTER_MINUTES]);
+  if (claimed.rows.length === 0) {
+    throw uploadError('VERIFYING', 'Upload is already being verified');
+  }
+
+  const partialPath = getPartialPath(session.id);
+  try {
+    const checksum = await hashFile(partialPath);
+
+    if (checksum !== session.checksum) {
+      await fs.promises.truncate(partialPath, 0);
+      await query(
+        `UPDATE upload_sessions SET status = 'uploading', bytes_received = 0, updated_at = NOW() WHERE id = $1`,
+        [session.id]
+      );
+      return { valid: false, checksum };
+    }
+
+    const filePath = path.join(UPLOAD_DIR, session.id);
+    await fs.promises.rename(partialPath, filePath);
+    await query(
+      `UPDATE upload_sessions SET status = 'verified', updated_at = NOW() WHERE id = $1`,
+      [session.id]
+    );
+
+    return { valid: true, checksum, filePath };
+
+  } catch (error) {
+    // Release the claim so completion can be retried
+    await query(
+      `UPDATE upload_sessions SET status = 'uploading', updated_at = NOW() WHERE id = $1 AND status = 'verifying'`,
+      [session.id]
+    ).catch(() => {});
+    throw error;
+  }
+};
+
+// Record the source created from a verified upload, or the existing source it was linked to
+const markUploadCompleted = async (uploadId, sourceId) => {
+  await query(
+    `UPDATE upload_sessions SET status = 'completed', source_id = $1, updated_at = NOW() WHERE id = $2`,
+    [sourceId, uploadId]
+  );
+};
+
+// Cancel an upload and delete what was received (or the verified file, if no source uses it)
+const abortUploadSession = async (session) => {
+  await query('DELETE FROM upload_sessions WHERE id = $1', [session.id]);
+  await fs.promises.rm(getPartialPath(session.id), { force: true });
+  if (session.status === 'verified') {
+    await fs.promises.rm(path.join(UPLOAD_DIR, session.id), { force: true });
+  }
+};
+
+// Delete unfinished sessions past their expiry along with their partial files
+const cleanupExpiredUploadSessions = async () => {
+  try {
+    const result = await query(`
+      DELETE FROM upload_sessions
+      WHERE status <> 'completed' AND expires_at < NOW()
+      RETURNING id, status
+    `);
+
+    for (const session of result.rows) {
+      await fs.promises.rm(getPartialPath(session.id), { force: true });
+      if (session.status === 'verified') {
+        await fs.promises.rm(path.join(UPLOAD_DIR, session.id), { force: true });
+      }
+    }
+
+    if (result.rows.length > 0) {
+      console.log(`🧹 Removed ${result.rows.length} expired upload sessions`);
+    }
+    return result.rows.length;
+
+  } catch (error) {
+    console.error('Upload session cleanup error:', error);
+    return 0;
+  }
+};
+
+// Shape a session row for API responses
+const formatUploadSession = (session) => ({
+  uploadId: session.id,
+  fileName: session.file_name,
+  fileSize: Number(session.file_size),
+  offset: Number(session.bytes_received),
+  status: session.status,
+  sourceId: session.source_id,
+  chunkSize: RESUMABLE_CHUNK_SIZE,
+  maxChunkSize: RESUMABLE_MAX_CHUNK_SIZE,
+  expiresAt: session.expires_at
+});
+
+module.exports = {
+  RESUMABLE_MAX_FILE_SIZE,
+  createUploadSession,
+  getUploadSession,
+  appendChunk,
+  finalizeUpload,
+  markUploadCompleted,
+  abortUploadSession,
+  cleanupExpiredUploadSessions,
+  formatUploadSession
+};
@@ -1,8 +1,11 @@
 const cron = require('node-cron');
 const { query } = require('../models/database');
-const { getItemsDue, getWeakTopics, recalculateRollingAccuracy } = require('./sm2Algorithm');
+const { getItemsDue, getWeakTopics, recalculateRollingAccuracy, reviewItemsSql } = require('./sm2Algorithm');
+const { accessConditionSql } = require('./groupService');
 const { autoGenerateStudyPacks } = require('./studyPackGenerator');
 const { sendNotification } = require('./notificationService');
+const { cleanupExpiredUploadSessions } = require('./resumableUpload');
+const { cleanupExpiredRefreshTokens } = require('./sessionService');
 
 // Start the scheduler with various automated tasks
 const startScheduler = () => {
@@ -34,32 +37,45 @@ const startScheduler = () => {
     await generateWeeklyReports();
   });
 
+  // Remove abandoned resumable uploads and expired refresh tokens (hourly)
+  cron.schedule('30 * * * *', async () => {
+    await cleanupExpiredUploadSessions();
+    await cleanupExpiredRefreshTokens();
+  });
+
   console.log('✅ Scheduler started successfully');
 };
 
-// Main daily scheduler function
-const runDailyScheduler = async () => {
+// Main daily scheduler function (for every active user, or just the given one).
+// Returns how many users were processed and which failed.
+const runDailyScheduler = async (userId = null, forceGeneration = false) => {
+  const failed = [];
+
   try {
     // Get all active users
     const usersResult = await query(
-      'SELECT id, email, full_name, preferences FROM users'
+      'SELECT id, email, full_name, preferences FROM users WHERE disabled_at IS NULL AND ($1::uuid IS NULL OR id = $1)',
+      [userId]
     );
 
     console.log(`🎯 Processing daily packs for ${usersResult.rows.length} users`);
 
     for (const user of usersResult.rows) {
       try {
-        await generateDailyPack(user.id);
+        await generateDailyPack(user.id, forceGeneration);
         console.log(`✅ Generated daily pack for user ${user.id}`);
       } catch (error) {
         console.error(`❌ Failed daily pack for user ${user.id}:`, error);
+        failed.push(user.id);
       }
     }
 
     console.log('🎉 Daily scheduler run completed');
+    return { processed: usersResult.rows.length, failed };
 
   } catch (error) {
     console.error('❌ Daily scheduler error:', error);
+    return { processed: 0, failed, error: error.message };
   }
 };
 
@@ -96,16 +112,17 @@ const generateDailyPack = async (userId, forceGeneration = false) => {
     if (weakTopics.length > 0) {
       const weakTopicNames = weakTopics.map(topic => topic.topic);
       const weakTopicQuery = await query(`
-        (SELECT f.*, 'flashcard' as item_type FROM flashcards f
-         JOIN study_sets s ON f.study_set_id = s.id
-         WHERE s.user_id = $1 AND s.topics && $2
-         ORDER BY f.difficulty DESC, RANDOM()
+        WITH items AS (
+          SELECT items.* FROM (${reviewItemsSql('$1')}) items
+          JOIN study_sets s ON items.study_set_id = s.id
+          WHERE ${accessConditionSql('studySet', 's', '$1')} AND s.topics && $2
+        )
+        (SELECT * FROM items WHERE item_type = 'flashcard'
+         ORDER BY difficulty DESC, RANDOM()
          LIMIT 5)
         UNION ALL
-        (SELECT m.*, 'mcq' as item_type FROM mcqs m
-         JOIN study_sets s ON m.study_set_id = s.id
-         WHERE s.user_id = $1 AND s.topics && $2
-         ORDER BY m.difficulty DESC, RANDOM()
+        (SELECT * FROM items WHERE item_type = 'mcq'
+         ORDER BY difficulty DESC, RANDOM()
          LIMIT 3)
       `, [userId, weakTopicNames]);
       
@@ -114,16 +131,17 @@ const generateDailyPack = async (userId, forceGeneration = false) => {
 
     // Step 3: Get new items (15% of pack)
     const newItemsQuery = await query(`
-      (SELECT f.*, 'flashcard' as item_type FROM flashcards f
-       JOIN study_sets s ON f.study_set_id = s.id
-       WHERE s.user_id = $1 AND f.review_count = 0
-       ORDER BY f.created_at DESC, RANDOM()
+      WITH items AS (
+        SELECT items.* FROM (${reviewItemsSql('$1')}) items
+        JOIN study_sets s ON items.study_set_id = s.id
+        WHERE ${accessConditionSql('studySet', 's', '$1')} AND items.review_count = 0
+      )
+      (SELECT * FROM items WHERE item_type = 'flashcard'
+       ORDER BY created_at DESC, RANDOM()
        LIMIT 3)
       UNION ALL
-      (SELECT m.*, 'mcq' as item_type FROM mcqs m
-       JOIN study_sets s ON m.study_set_id = s.id
-       WHERE s.user_id = $1 AND m.review_count = 0
-       ORDER BY m.created_at DESC, RANDOM()
+      (SELECT * FROM items WHERE item_type = 'mcq'
+       ORDER BY created_at DESC, RANDOM()
        LIMIT 2)
     `, [userId]);
 
@@ -224,13 +242,17 @@ const updateAllTopicPerformance = async () => {
   }
 };
 
-// Generate weekly reports
-const generateWeeklyReports = async () => {
+// Generate weekly reports (for every active user, or just the given one).
+// Returns how many users were processed and which failed.
+const generateWeeklyReports = async (userId = null) => {
+  const failed = [];
+
   try {
     console.log('📈 Generating weekly reports...');
 
     const usersResult = await query(
-      'SELECT id, email, full_name FROM users'
+      'SELECT id, email, full_name FROM users WHERE disabled_at IS NULL AND ($1::uuid IS NULL OR id = $1)',
+      [userId]
     );
 
     for (const user of usersResult.rows) {
@@ -250,13 +272,16 @@ const generateWeeklyReports = async () => {
 
       } catch (error) {
         console.error(`❌ Failed weekly report for user ${user.id}:`, error);
+        failed.push(user.id);
       }
     }
 
     console.log('✅ Weekly reports generation completed');
+    return { processed: usersResult.rows.length, failed };
 
   } catch (error) {
     console.error('❌ Weekly reports error:', error);
+    return { processed: 0, failed, error: error.message };
   }
 };
 
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { query, withTransaction } = require('../models/database');
+const { generateToken } = require('../middleware/auth');
+
+// Sign-in sessions: a short-lived JWT access token plus a long-lived opaque refresh token.
+// Refresh tokens are stored hashed and replaced on every use. Presenting one that was
+// already replaced means a copy is in someone else's hands, so its whole family (every
+// token descended from the same sign-in) is revoked. Bumping users.token_version
+// invalidates every access token the user holds.
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a refresh token in the given family (a new family when familyId is null)
+const storeRefreshToken = async (client, userId, familyId, { userAgent = null, ipAddress = null } = {}) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  const result = await client.query(`
+    INSERT INTO refresh_tokens (user_id, family_id, token_hash, user_agent, ip_address, expires_at)
+    VALUES ($1, COALESCE($2, gen_random_uuid()), $3, $4, $5, NOW() + make_interval(days => $6))
+    RETURNING id
+  `, [userId, familyId, hashToken(token), userAgent, ipAddress, REFRESH_TOKEN_TTL_DAYS]);
+
+  return { id: result.rows[0].id, token };
+};
+
+// Tokens for a user who just signed in (user needs id, email, role and token_version)
+const issueSession = async (user, meta = {}) => {
+  const { token: refreshToken } = await storeRefreshToken({ query }, user.id, null, meta);
+
+  return {
+    token: generateToken(user.id, user.email, user.role, user.token_version),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new access token and refresh token.
+// Returns { token, refreshToken, user } or { error: 'invalid' | 'reused' }.
+const rotateRefreshToken = async (refreshToken, meta = {}) => {
+  return withTransaction(async (client) => {
+    const result = await client.query(`
+      SELECT rt.*, u.email, u.role, u.token_version, u.disabled_at
+      FROM refresh_tokens rt
+      JOIN users u ON rt.user_id = u.id
+      WHERE rt.token_hash = $1
+      FOR UPDATE OF rt
+    `, [hashToken(refreshToken)]);
+
+    const stored = result.rows[0];
+    if (!stored) {
+      return { error: 'invalid' };
+    }
+
+    if (stored.revoked_at) {
+      if (!stored.replaced_by) {
+        return { error: 'invalid' };
+      }
+
+      await client.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL',
+        [stored.family_id]
+      );
+      console.warn(`⚠️ Refresh token reuse for user ${stored.user_id}; revoked session family ${stored.family_id}`);
+      return { error: 'reused' };
+    }
+
+    if (new Date(stored.expires_at) <= new Date() || stored.disabled_at) {
+      return { error: 'invalid' };
+    }
+
+    const next = await storeRefreshToken(client, stored.user_id, stored.family_id, meta);
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $2 WHERE id = $1',
+      [stored.id, next.id]
+    );
+
+    return {
+      token: generateToken(stored.user_id, stored.email, stored.role, stored.token_version),
+      refreshToken: next.token,
+      user: { id: stored.user_id, email: stored.email, role: stored.role }
+    };
+  });
+};
+
+// Log out one device: revoke the refresh token's family. Returns false for unknown tokens.
+const revokeRefreshToken = async (refreshToken) => {
+  const result = await query(`
+    UPDATE refresh_tokens SET revoked_at = NOW()
+    WHERE family_id = (SELECT family_id FROM refresh_tokens WHERE token_hash = $1)
+    AND revoked_at IS NULL
+    RETURNING id
+  `, [hashToken(refreshToken)]);
+
+  return result.rows.length > 0;
+};
+
+// Log out every device: revoke all refresh tokens and invalidate outstanding access tokens.
+// Returns the user's new token version.
+const revokeAllSessions = async (userId) => {
+  return withTransaction(async (client) => {
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+      [userId]
+    );
+
+    const result = await client.query(
+      'UPDATE users SET token_version = token_version + 1, updated_at = NOW() WHERE id = $1 RETURNING token_version',
+      [userId]
+    );
+
+    return result.rows[0]?.token_version ?? null;
+  });
+};
+
+// Delete expired refresh tokens (revoked ones are kept until then for reuse detection)
+const cleanupExpiredRefreshTokens = async () => {
+  try {
+    const result = await query('DELETE FROM refresh_tokens WHERE expires_at < NOW()');
+
+    if (result.rowCount > 0) {
+      console.log(`🧹 Removed ${result.rowCount} expired refresh tokens`);
+    }
+    return result.rowCount;
+
+  } catch (error) {
+    console.error('Refresh token cleanup error:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  cleanupExpiredRefreshTokens
+};
@@ -1,16 +1,56 @@
 const { query } = require('../models/database');
+const { accessConditionSql } = require('./groupService');
 
 // SM-2 Spaced Repetition Algorithm Implementation
 // Based on: https://www.supermemo.com/en/archives1990-2015/english/ol/sm2
 
-const updateSM2Algorithm = async (itemId, itemType, isCorrect, easeRating) => {
+// Review state is kept per user in item_reviews, so everyone studying a shared study set
+// has their own schedule. Before a user's first review the item's own columns
+// (set at generation) are the starting values.
+
+const ITEM_COLUMNS = {
+  flashcard: ['front_text', 'back_text'],
+  mcq: ['question_text', 'correct_answer', 'distractors', 'explanation']
+};
+
+// SELECT over flashcards and/or MCQs (itemType 'flashcard', 'mcq' or 'both') with the
+// SM-2 state of the user given by userParam. Use as a subquery; 'both' fills the other
+// type's columns with NULL.
+const reviewItemsSql = (userParam, itemType = 'both') => {
+  const selectType = (type) => {
+    const table = type === 'flashcard' ? 'flashcards' : 'mcqs';
+    const columns = Object.entries(ITEM_COLUMNS).flatMap(([columnType, names]) => {
+      if (columnType === type) {
+        return names.map(name => `i.${name}`);
+      }
+      return itemType === 'both'
+        ? names.map(name => `NULL${name === 'distractors' ? '::text[]' : '::text'} as ${name}`)
+        : [];
+    });
+
+    return `
+      SELECT i.id, '${type}' as item_type, i.study_set_id, ${columns.join(', ')}, i.source_chunk_ids, i.quality_flags, i.created_at,
+             COALESCE(r.difficulty, i.difficulty) as difficulty,
+             COALESCE(r.interval_days, i.interval_days) as interval_days,
+             COALESCE(r.ease_factor, i.ease_factor) as ease_factor,
+             COALESCE(r.due_at, i.due_at) as due_at,
+             r.last_reviewed,
+             COALESCE(r.review_count, 0) as review_count
+      FROM ${table} i
+      LEFT JOIN item_reviews r ON r.item_id = i.id AND r.item_type = '${type}' AND r.user_id = ${userParam}`;
+  };
+
+  return itemType === 'both'
+    ? `${selectType('flashcard')}\n      UNION ALL${selectType('mcq')}`
+    : selectType(itemType);
+};
+
+const updateSM2Algorithm = async (userId, itemId, itemType, isCorrect, easeRating) => {
   try {
-    const tableName = itemType === 'flashcard' ? 'flashcards' : 'mcqs';
-    
-    // Get current SM-2 values
+    // Get the user's current SM-2 values
     const currentResult = await query(
-      `SELECT difficulty, interval_days, ease_factor, review_count FROM ${tableName} WHERE id = $1`,
-      [itemId]
+      `SELECT * FROM (${reviewItemsSql('$1', itemType)}) items WHERE id = $2`,
+      [userId, itemId]
     );
 
     if (currentResult.rows.length === 0) {
@@ -21,7 +61,7 @@ const updateSM2Algorithm = async (itemId, itemType, isCorrect, easeRating) => {
     const newValues = calculateSM2(
       current.difficulty,
       current.interval_days,
-      current.ease_factor,
+      parseFloat(current.ease_factor),
       current.review_count,
       isCorrect,
       easeRating
@@ -31,25 +71,28 @@ const updateSM2Algorithm = async (itemId, itemType, isCorrect, easeRating) => {
     const nextDueDate = new Date();
     nextDueDate.setDate(nextDueDate.getDate() + newValues.interval);
 
-    // Update the item with new SM-2 values
+    // Save the user's new SM-2 values
     await query(`
-      UPDATE ${tableName} 
-      SET difficulty = $1, 
-          interval_days = $2, 
-          ease_factor = $3, 
-          due_at = $4,
+      INSERT INTO item_reviews (user_id, item_id, item_type, difficulty, interval_days, ease_factor, due_at, last_reviewed, review_count)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), 1)
+      ON CONFLICT (user_id, item_id, item_type) DO UPDATE
+      SET difficulty = EXCLUDED.difficulty,
+          interval_days = EXCLUDED.interval_days,
+          ease_factor = EXCLUDED.ease_factor,
+          due_at = EXCLUDED.due_at,
           last_reviewed = NOW(),
-          review_count = review_count + 1
-      WHERE id = $5
+          review_count = item_reviews.review_count + 1
     `, [
+      userId,
+      itemId,
+      itemType,
       newValues.difficulty,
       newValues.interval,
       newValues.easeFactor,
-      nextDueDate,
-      itemId
+      nextDueDate
     ]);
 
-    console.log(`📅 Updated SM-2 for ${itemType} ${itemId}: interval=${newValues.interval} days, ease=${newValues.easeFactor}`);
+    console.log(`📅 Updated SM-2 for ${itemType} ${itemId} (user ${userId}): interval=${newValues.interval} days, ease=${newValues.easeFactor}`);
 
     return {
       itemId,
@@ -112,53 +155,18 @@ const calculateSM2 = (difficulty, intervalDays, easeFactor, reviewCount, isCorre
   };
 };
 
-// Get items due for review
+// Get items due for review, from the user's own study sets and those shared with their groups
 const getItemsDue = async (userId, itemType = 'both', limit = 100) => {
   try {
-    let query_text = '';
-    let params = [userId];
-
-    if (itemType === 'flashcard') {
-      query_text = `
-        SELECT f.*, 'flashcard' as item_type, s.title as study_set_title
-        FROM flashcards f
-        JOIN study_sets s ON f.study_set_id = s.id
-        WHERE s.user_id = $1 AND f.due_at <= NOW()
-        ORDER BY f.due_at ASC, f.difficulty DESC
-        LIMIT $2
-      `;
-      params.push(limit);
-    } else if (itemType === 'mcq') {
-      query_text = `
-        SELECT m.*, 'mcq' as item_type, s.title as study_set_title
-        FROM mcqs m
-        JOIN study_sets s ON m.study_set_id = s.id
-        WHERE s.user_id = $1 AND m.due_at <= NOW()
-        ORDER BY m.due_at ASC, m.difficulty DESC
-        LIMIT $2
-      `;
-      params.push(limit);
-    } else {
-      // Both types
-      query_text = `
-        (SELECT f.*, 'flashcard' as item_type, s.title as study_set_title,
-                f.due_at as sort_due_at, f.difficulty as sort_difficulty
-         FROM flashcards f
-         JOIN study_sets s ON f.study_set_id = s.id
-         WHERE s.user_id = $1 AND f.due_at <= NOW())
-        UNION ALL
-        (SELECT m.*, 'mcq' as item_type, s.title as study_set_title,
-                m.due_at as sort_due_at, m.difficulty as sort_difficulty
-         FROM mcqs m
-         JOIN study_sets s ON m.study_set_id = s.id
-         WHERE s.user_id = $1 AND m.due_at <= NOW())
-        ORDER BY sort_due_at ASC, sort_difficulty DESC
-        LIMIT $2
-      `;
-      params.push(limit);
-    }
+    const result = await query(`
+      SELECT items.*, s.title as study_set_title
+      FROM (${reviewItemsSql('$1', itemType)}) items
+      JOIN study_sets s ON items.study_set_id = s.id
+      WHERE ${accessConditionSql('studySet', 's', '$1')} AND items.due_at <= NOW()
+      ORDER BY items.due_at ASC, items.difficulty DESC
+      LIMIT $2
+    `, [userId, limit]);
 
-    const result = await query(query_text, params);
     return result.rows;
 
   } catch (error) {
@@ -311,6 +319,7 @@ const getStudyStats = async (userId, days = 7) => {
 };
 
 module.exports = {
+  reviewItemsSql,
   updateSM2Algorithm,
   calculateSM2,
   getItemsDue,
@@ -1,49 +1,37 @@
 const { query, withTransaction } = require('../models/database');
-const { searchChunks } = require('./uploadProcessor');
+const { searchChunks, formatChunkCitation } = require('./uploadProcessor');
 const { generateAIContent } = require('./aiService');
+const { generateItems, formatSummaryContent } = require('./itemGeneration');
+const { recordRejections } = require('./itemQuality');
 const { sendNotification } = require('./notificationService');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { saveSummaryVersion, getSummary, formatSummary } = require('./summaryService');
+const { reviewItemsSql } = require('./sm2Algorithm');
+const { accessConditionSql, accessLevelSql } = require('./groupService');
 
 // RAG retrieval for study content
-const retrieveRelevantContent = async (userId, topics, sourceIds = [], topK = 10) => {
+const retrieveRelevantContent = async (userId, topics, sourceIds = [], topK = 10, mode) => {
   try {
     let relevantChunks = [];
 
-    // If specific sources are provided, limit search to those
-    if (sourceIds.length > 0) {
-      for (const topic of topics) {
-        const chunks = await query(`
-          SELECT dc.*, s.title as source_title,
-                 1 - (dc.embedding <-> $1::vector) as similarity
-          FROM doc_chunks dc
-          JOIN sources s ON dc.source_id = s.id
-          WHERE s.user_id = $2 AND s.id = ANY($3)
-          ORDER BY dc.embedding <-> $1::vector
-          LIMIT $4
-        `, [
-          JSON.stringify(await require('./embeddingService').generateSingleEmbedding(topic)),
-          userId,
-          sourceIds,
-          topK
-        ]);
-        relevantChunks.push(...chunks.rows);
-      }
-    } else {
-      // Search across all user's content
-      for (const topic of topics) {
-        const chunks = await searchChunks(userId, topic, topK);
-        relevantChunks.push(...chunks);
-      }
+    // Search each topic, limited to the given sources when provided
+    for (const topic of topics) {
+      const chunks = await searchChunks(userId, topic, topK, { sourceIds, mode });
+      relevantChunks.push(...chunks.map(chunk => ({ ...chunk, topics: [topic] })));
     }
 
-    // Remove duplicates and sort by similarity
+    // Remove duplicates (noting every topic that found a chunk) and sort by fused rank score
     const uniqueChunks = relevantChunks
       .reduce((acc, chunk) => {
-        if (!acc.find(c => c.id === chunk.id)) {
+        const existing = acc.find(c => c.id === chunk.id);
+        if (existing) {
+          existing.topics.push(...chunk.topics);
+        } else {
           acc.push(chunk);
         }
         return acc;
       }, [])
-      .sort((a, b) => (b.similarity || 0) - (a.similarity || 0));
+      .sort((a, b) => (b.score || 0) - (a.score || 0));
 
     return uniqueChunks.slice(0, topK * topics.length);
 
@@ -53,97 +41,252 @@ const retrieveRelevantContent = async (userId, topics, sourceIds = [], topK = 10
   }
 };
 
-// Generate study pack
+const SOURCE_SNIPPET_LENGTH = 300;
+
+// Add `sources` to flashcard/MCQ rows: the chunks each item was drawn from, with a snippet
+// and page range (reprocessing a source carries citations over to its new chunks).
+// Chunks of sources the user can't access are left out.
+const attachItemSources = async (items, userId) => {
+  const chunkIds = [...new Set(items.flatMap(item => item.source_chunk_ids || []))];
+  if (chunkIds.length === 0) {
+    return items.map(item => ({ ...item, sources: [] }));
+  }
+
+  const result = await query(`
+    SELECT dc.id, dc.source_id, dc.chunk_index, dc.chunk_text, dc.metadata, s.title as source_title
+    FROM doc_chunks dc
+    JOIN sources s ON dc.source_id = s.id
+    WHERE dc.id = ANY($1) AND ${accessConditionSql('source', 's', '$2')}
+  `, [chunkIds, userId]);
+
+  const chunks = new Map(result.rows.map(chunk => [chunk.id, chunk]));
+
+  return items.map(item => ({
+    ...item,
+    // Two cited chunks can have been carried over to the same new chunk
+    sources: [...new Set(item.source_chunk_ids || [])].filter(id => chunks.has(id)).map(id => {
+      const chunk = chunks.get(id);
+      const text = chunk.chunk_text.replace(/\s+/g, ' ').trim();
+      return {
+        chunkId: chunk.id,
+        sourceId: chunk.source_id,
+        sourceTitle: chunk.source_title,
+        chunkIndex: chunk.chunk_index,
+        pageRange: chunk.metadata?.page_range || null,
+        timeRange: chunk.metadata?.time_range || null,
+        citation: formatChunkCitation(chunk),
+        snippet: text.length > SOURCE_SNIPPET_LENGTH ? `${text.slice(0, SOURCE_SNIPPET_LENGTH).trimEnd()}…` : text
+      };
+    })
+  }));
+};
+
+// Generation runs in three parts; each is stored as soon as it is ready, so a retried or
+// polled job can show (and keep) what has been produced so far
+const GENERATION_PARTS = ['summary', 'flashcards', 'mcqs'];
+
+const GENERATION_JOB_TYPES_SQL = "'generate_study_pack', 'regenerate_summary'";
+
+// Error that retrying won't fix (the job queue fails the job straight away)
+const generationError = (code, message) => Object.assign(new Error(message), { code, retryable: false });
+
+// Generate study pack.
+// onProgress receives { stage, studySetId, completed, flashcardsCount, mcqsCount };
+// passing a previous progress object as resumeFrom continues that run's study set and
+// skips the parts it already stored. checkCancelled throws to stop between steps.
 const generateStudyPack = async (userId, options = {}) => {
   const {
     topics = [],
     sourceIds = [],
     difficulty = 2,
+    searchMode,
     manualGeneration = false,
     maxFlashcards = 20,
-    maxMCQs = 15
+    maxMCQs = 15,
+    onProgress = async () => {},
+    checkCancelled = async () => {},
+    resumeFrom = {}
   } = options;
 
   try {
     console.log(`📚 Generating study pack for user ${userId}, topics: ${topics.join(', ')}`);
 
-    // Step 1: Retrieve relevant content using RAG
-    const relevantContent = await retrieveRelevantContent(userId, topics, sourceIds, 10);
+    const state = {
+      studySetId: null,
+      completed: [],
+      summary: null,
+      flashcardsCount: 0,
+      mcqsCount: 0
+    };
 
-    if (relevantContent.length === 0) {
-      throw new Error('No relevant content found for the specified topics');
+    // Pick up the study set of an earlier attempt if it is still there
+    if (resumeFrom.studySetId) {
+      const existing = await query('SELECT id FROM study_sets WHERE id = $1', [resumeFrom.studySetId]);
+      if (existing.rows.length > 0) {
+        Object.assign(state, {
+          studySetId: resumeFrom.studySetId,
+          completed: resumeFrom.completed || [],
+          flashcardsCount: resumeFrom.flashcardsCount || 0,
+          mcqsCount: resumeFrom.mcqsCount || 0
+        });
+        if (state.completed.includes('summary')) {
+          state.summary = (await getSummary(state.studySetId))?.content || null;
+        }
+      }
     }
 
-    console.log(`📖 Retrieved ${relevantContent.length} relevant chunks`);
+    // Progress writes are chained so they land in order while the parts run in parallel
+    let progressChain = Promise.resolve();
+    const saveProgress = (stage) => {
+      const { summary, ...progressState } = state;
+      const progress = { stage, ...progressState, completed: [...state.completed] };
+      progressChain = progressChain.then(() => onProgress(progress));
+      return progressChain;
+    };
 
-    // Step 2: Create study set record
-    const studySetResult = await query(`
-      INSERT INTO study_sets (user_id, title, description, topics, difficulty_level)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING *
-    `, [
-      userId,
-      `Study Pack: ${topics.join(', ')}`,
-      `Generated study materials for ${topics.join(', ')}`,
-      topics,
-      difficulty
-    ]);
+    await checkCancelled();
+    const remaining = GENERATION_PARTS.filter(part => !state.completed.includes(part));
 
-    const studySet = studySetResult.rows[0];
+    // Step 1: Retrieve relevant content using RAG
+    let relevantContent = [];
+    if (remaining.length > 0) {
+      await saveProgress('retrieve');
+      relevantContent = await retrieveRelevantContent(userId, topics, sourceIds, 10, searchMode);
 
-    // Step 3: Generate AI content
-    const contentText = relevantContent.map(chunk => chunk.chunk_text).join('\n\n');
-    
-    const [summary, flashcardsData, mcqsData] = await Promise.all([
-      generateAIContent('summary', contentText, topics),
-      generateAIContent('flashcards', contentText, topics, { count: maxFlashcards }),
-      generateAIContent('mcqs', contentText, topics, { count: maxMCQs })
-    ]);
-
-    console.log(`🤖 Generated AI content: ${flashcardsData.length} flashcards, ${mcqsData.length} MCQs`);
-
-    // Step 4: Store generated content
-    await withTransaction(async (client) => {
-      // Store flashcards
-      for (const flashcard of flashcardsData) {
-        await client.query(`
-          INSERT INTO flashcards (study_set_id, front_text, back_text, difficulty, due_at)
-          VALUES ($1, $2, $3, $4, NOW())
-        `, [
-          studySet.id,
-          flashcard.front,
-          flashcard.back,
-          difficulty
-        ]);
+      if (relevantContent.length === 0) {
+        throw generationError('NO_CONTENT', 'No relevant content found for the specified topics');
       }
 
-      // Store MCQs
-      for (const mcq of mcqsData) {
-        await client.query(`
-          INSERT INTO mcqs (study_set_id, question_text, correct_answer, distractors, explanation, difficulty, due_at)
-          VALUES ($1, $2, $3, $4, $5, $6, NOW())
-        `, [
-          studySet.id,
-          mcq.question,
-          mcq.correct_answer,
-          mcq.distractors,
-          mcq.explanation,
-          difficulty
-        ]);
+      console.log(`📖 Retrieved ${relevantContent.length} relevant chunks`);
+    }
+
+    // Step 2: Create study set record (hidden from listings until generation finishes)
+    if (!state.studySetId) {
+      const studySetResult = await query(`
+        INSERT INTO study_sets (user_id, title, description, topics, difficulty_level, source_ids, status)
+        VALUES ($1, $2, $3, $4, $5, $6, 'generating')
+        RETURNING id
+      `, [
+        userId,
+        `Study Pack: ${topics.join(', ')}`,
+        `Generated study materials for ${topics.join(', ')}`,
+        topics,
+        difficulty,
+        sourceIds
+      ]);
+      state.studySetId = studySetResult.rows[0].id;
+    }
+
+    await checkCancelled();
+    await saveProgress('generate');
+
+    // Step 3: Generate AI content and store each part as it arrives. Flashcards and MCQs
+    // are generated batch by batch over all retrieved chunks; the summary reads as many
+    // chunks as fit its prompt. A part stored by an earlier attempt that stopped before
+    // saving its progress is replaced, not stored twice (only this run writes to the set
+    // while it is generating).
+    const storeParts = {
+      summary: async (summary) => {
+        await withTransaction(async (client) => {
+          await client.query('DELETE FROM study_set_summaries WHERE study_set_id = $1', [state.studySetId]);
+          await saveSummaryVersion(state.studySetId, summary, { topics, createdBy: userId, client });
+        });
+        state.summary = summary;
+      },
+      flashcards: async ({ items, rejected }) => {
+        await withTransaction(async (client) => {
+          await client.query('DELETE FROM flashcards WHERE study_set_id = $1', [state.studySetId]);
+          await client.query(
+            "DELETE FROM generation_rejections WHERE study_set_id = $1 AND item_type = 'flashcard'",
+            [state.studySetId]
+          );
+          for (const flashcard of items) {
+            await client.query(`
+              INSERT INTO flashcards (study_set_id, front_text, back_text, difficulty, source_chunk_ids, quality_flags, due_at)
+              VALUES ($1, $2, $3, $4, $5, $6, NOW())
+            `, [
+              state.studySetId,
+              flashcard.front,
+              flashcard.back,
+              difficulty,
+              flashcard.sourceChunkIds,
+              flashcard.qualityFlags
+            ]);
+          }
+          await recordRejections(client, { studySetId: state.studySetId, userId, itemType: 'flashcard', rejected });
+        });
+        state.flashcardsCount = items.length;
+      },
+      mcqs: async ({ items, rejected }) => {
+        await withTransaction(async (client) => {
+          await client.query('DELETE FROM mcqs WHERE study_set_id = $1', [state.studySetId]);
+          await client.query(
+            "DELETE FROM generation_rejections WHERE study_set_id = $1 AND item_type = 'mcq'",
+            [state.studySetId]
+          );
+          for (const mcq of items) {
+            await client.query(`
+              INSERT INTO mcqs (study_set_id, question_text, correct_answer, distractors, explanation, difficulty, source_chunk_ids, quality_flags, due_at)
+              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+            `, [
+              state.studySetId,
+              mcq.question,
+              mcq.correct_answer,
+              mcq.distractors,
+              mcq.explanation,
+              difficulty,
+              mcq.sourceChunkIds,
+              mcq.qualityFlags
+            ]);
+          }
+          await recordRejections(client, { studySetId: state.studySetId, userId, itemType: 'mcq', rejected });
+        });
+        state.mcqsCount = items.length;
       }
-    });
+    };
+    const generateParts = {
+      summary: () => generateAIContent('summary', formatSummaryContent(relevantContent, topics), topics),
+      flashcards: () => generateItems('flashcards', relevantContent, topics, { count: maxFlashcards, checkCancelled }),
+      mcqs: () => generateItems('mcqs', relevantContent, topics, { count: maxMCQs, checkCancelled })
+    };
 
-    // Step 5: Send notification if not manual generation
+    // Every part runs to the end even if another fails, so nothing is still being stored
+    // when the job is retried; parts that finished are recorded and skipped on the retry
+    const results = await Promise.allSettled(remaining.map(async (part) => {
+      const data = await generateParts[part]();
+      // Don't store anything once the generation has been cancelled
+      await checkCancelled();
+      await storeParts[part](data);
+      state.completed.push(part);
+      await saveProgress('generate');
+    }));
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) {
+      throw failed.reason;
+    }
+
+    console.log(`🤖 Generated AI content: ${state.flashcardsCount} flashcards, ${state.mcqsCount} MCQs`);
+
+    // Last chance to cancel: once the study set is active the generation completes
+    await checkCancelled();
+    const studySetResult = await query(`
+      UPDATE study_sets SET status = 'active', generated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [state.studySetId]);
+    const studySet = studySetResult.rows[0];
+
+    // Step 4: Send notification if not manual generation
     if (!manualGeneration) {
       await sendNotification(userId, {
         type: 'study_pack_ready',
         title: 'New Study Pack Ready! 📚',
-        message: `Your study pack for ${topics.join(', ')} is ready with ${flashcardsData.length} flashcards and ${mcqsData.length} questions.`,
+        message: `Your study pack for ${topics.join(', ')} is ready with ${state.flashcardsCount} flashcards and ${state.mcqsCount} questions.`,
         data: {
           studySetId: studySet.id,
           topics,
-          flashcardsCount: flashcardsData.length,
-          mcqsCount: mcqsData.length
+          flashcardsCount: state.flashcardsCount,
+          mcqsCount: state.mcqsCount
         }
       });
     }
@@ -153,9 +296,9 @@ const generateStudyPack = async (userId, options = {}) => {
       title: studySet.title,
       topics: studySet.topics,
       difficulty: studySet.difficulty_level,
-      summary,
-      flashcardsCount: flashcardsData.length,
-      mcqsCount: mcqsData.length,
+      summary: state.summary,
+      flashcardsCount: state.flashcardsCount,
+      mcqsCount: state.mcqsCount,
       generatedAt: studySet.generated_at
     };
 
@@ -165,29 +308,120 @@ const generateStudyPack = async (userId, options = {}) => {
   }
 };
 
-// Get user's study packs
+// The study set a generation job is filling in (from its latest progress)
+const getGenerationStudySetId = async (jobId) => {
+  const result = await query("SELECT progress->>'studySetId' as study_set_id FROM jobs WHERE id = $1", [jobId]);
+  return result.rows[0]?.study_set_id || null;
+};
+
+// Background job: generate a study pack requested through the API, or by the scheduler
+// (payload.manualGeneration false, which notifies the user when the pack is ready).
+// Progress (including the study set id and finished parts) survives retries.
+registerJobHandler('generate_study_pack', {
+  run: async (job, { reportProgress, checkCancelled }) => {
+    return generateStudyPack(job.user_id, {
+      ...job.payload,
+      manualGeneration: job.payload.manualGeneration !== false,
+      onProgress: reportProgress,
+      checkCancelled,
+      resumeFrom: job.progress || {}
+    });
+  },
+  onFailed: async (job) => {
+    const studySetId = await getGenerationStudySetId(job.id);
+    if (studySetId) {
+      await query("UPDATE study_sets SET status = 'failed' WHERE id = $1", [studySetId]);
+    }
+  },
+  // A cancelled generation leaves nothing behind
+  onCancelled: async (job) => {
+    const studySetId = await getGenerationStudySetId(job.id);
+    if (studySetId) {
+      await query("DELETE FROM study_sets WHERE id = $1 AND status = 'generating'", [studySetId]);
+    }
+  }
+});
+
+// Generate a new version of a study set's summary from the sources it was built from
+// (retrieval runs over what the requesting user can access). Returns the new version.
+const regenerateSummary = async (studySetId, userId, { onProgress = async () => {}, checkCancelled = async () => {} } = {}) => {
+  const studySetResult = await query('SELECT id, topics, source_ids FROM study_sets WHERE id = $1', [studySetId]);
+  const studySet = studySetResult.rows[0];
+  if (!studySet) {
+    throw generationError('NOT_FOUND', 'Study pack no longer exists');
+  }
+
+  await onProgress({ stage: 'retrieve', studySetId });
+  const relevantContent = await retrieveRelevantContent(userId, studySet.topics, studySet.source_ids || [], 10);
+  if (relevantContent.length === 0) {
+    throw generationError('NO_CONTENT', 'No relevant content found for the specified topics');
+  }
+
+  await checkCancelled();
+  await onProgress({ stage: 'generate', studySetId });
+  const summary = await generateAIContent('summary', formatSummaryContent(relevantContent, studySet.topics), studySet.topics);
+
+  await checkCancelled();
+  const saved = await saveSummaryVersion(studySetId, summary, { topics: studySet.topics, createdBy: userId });
+  console.log(`📝 Stored summary version ${saved.version} for study pack ${studySetId}`);
+
+  return { studySetId, version: saved.version };
+};
+
+registerJobHandler('regenerate_summary', {
+  run: async (job, { reportProgress, checkCancelled }) => {
+    return regenerateSummary(job.payload.studySetId, job.user_id, {
+      onProgress: reportProgress,
+      checkCancelled
+    });
+  }
+});
+
+// Queue a study pack generation; returns the job
+const enqueueStudyPackGeneration = async (userId, options) => {
+  return enqueueJob('generate_study_pack', options, { userId, maxAttempts: 3 });
+};
+
+const enqueueSummaryRegeneration = async (studySetId, userId) => {
+  return enqueueJob('regenerate_summary', { studySetId }, { userId, maxAttempts: 3 });
+};
+
+// A user's study pack generation or summary regeneration job
+const getGenerationJob = async (jobId, userId) => {
+  const result = await query(
+    `SELECT * FROM jobs WHERE id = $1 AND user_id = $2 AND type IN (${GENERATION_JOB_TYPES_SQL})`,
+    [jobId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Item counts for a study set, with due counts from the user's own review schedule
+const ITEM_COUNTS_SQL = `
+  COUNT(items.id) FILTER (WHERE items.item_type = 'flashcard') as flashcards_count,
+  COUNT(items.id) FILTER (WHERE items.item_type = 'mcq') as mcqs_count,
+  COUNT(items.id) FILTER (WHERE items.item_type = 'flashcard' AND items.due_at <= NOW()) as due_flashcards,
+  COUNT(items.id) FILTER (WHERE items.item_type = 'mcq' AND items.due_at <= NOW()) as due_mcqs`;
+
+// Get user's study packs, including those shared with their groups
+// (access is 'owner', 'edit' or 'read')
 const getStudyPacks = async (userId, options = {}) => {
   const { page = 1, limit = 10, status = 'active' } = options;
   const offset = (page - 1) * limit;
 
   try {
     const result = await query(`
-      SELECT ss.*,
-             COUNT(DISTINCT f.id) as flashcards_count,
-             COUNT(DISTINCT m.id) as mcqs_count,
-             COUNT(DISTINCT CASE WHEN f.due_at <= NOW() THEN f.id END) as due_flashcards,
-             COUNT(DISTINCT CASE WHEN m.due_at <= NOW() THEN m.id END) as due_mcqs
+      SELECT ss.*, ${accessLevelSql('studySet', 'ss', '$1')} as access,
+             ${ITEM_COUNTS_SQL}
       FROM study_sets ss
-      LEFT JOIN flashcards f ON ss.id = f.study_set_id
-      LEFT JOIN mcqs m ON ss.id = m.study_set_id
-      WHERE ss.user_id = $1 AND ss.status = $2
+      LEFT JOIN (${reviewItemsSql('$1')}) items ON ss.id = items.study_set_id
+      WHERE ${accessConditionSql('studySet', 'ss', '$1')} AND ss.status = $2
       GROUP BY ss.id
       ORDER BY ss.generated_at DESC
       LIMIT $3 OFFSET $4
     `, [userId, status, limit, offset]);
 
     const countResult = await query(
-      'SELECT COUNT(*) as total FROM study_sets WHERE user_id = $1 AND status = $2',
+      `SELECT COUNT(*) as total FROM study_sets ss WHERE ${accessConditionSql('studySet', 'ss', '$1')} AND ss.status = $2`,
       [userId, status]
     );
 
@@ -213,19 +447,15 @@ const getStudyPacks = async (userId, options = {}) => {
   }
 };
 
-// Get study pack details
+// Get study pack details (own or shared with one of the user's groups)
 const getStudyPackDetails = async (studyPackId, userId, includeItems = false) => {
   try {
     const result = await query(`
-      SELECT ss.*,
-             COUNT(DISTINCT f.id) as flashcards_count,
-             COUNT(DISTINCT m.id) as mcqs_count,
-             COUNT(DISTINCT CASE WHEN f.due_at <= NOW() THEN f.id END) as due_flashcards,
-             COUNT(DISTINCT CASE WHEN m.due_at <= NOW() THEN m.id END) as due_mcqs
+      SELECT ss.*, ${accessLevelSql('studySet', 'ss', '$2')} as access,
+             ${ITEM_COUNTS_SQL}
       FROM study_sets ss
-      LEFT JOIN flashcards f ON ss.id = f.study_set_id
-      LEFT JOIN mcqs m ON ss.id = m.study_set_id
-      WHERE ss.id = $1 AND ss.user_id = $2
+      LEFT JOIN (${reviewItemsSql('$2')}) items ON ss.id = items.study_set_id
+      WHERE ss.id = $1 AND ${accessConditionSql('studySet', 'ss', '$2')}
       GROUP BY ss.id
     `, [studyPackId, userId]);
 
@@ -234,8 +464,10 @@ const getStudyPackDetails = async (studyPackId, userId, includeItems = false) =>
     }
 
     const studyPack = result.rows[0];
+    const summary = await getSummary(studyPackId);
     const response = {
       ...studyPack,
+      summary: formatSummary(summary),
       flashcards_count: parseInt(studyPack.flashcards_count),
       mcqs_count: parseInt(studyPack.mcqs_count),
       due_flashcards: parseInt(studyPack.due_flashcards),
@@ -243,20 +475,22 @@ const getStudyPackDetails = async (studyPackId, userId, includeItems = false) =>
     };
 
     if (includeItems) {
-      // Fetch actual items
+      // Fetch actual items with the user's review state
       const [flashcards, mcqs] = await Promise.all([
         query(
-          'SELECT * FROM flashcards WHERE study_set_id = $1 ORDER BY due_at, difficulty',
-          [studyPackId]
+          `SELECT * FROM (${reviewItemsSql('$2', 'flashcard')}) items WHERE study_set_id = $1 ORDER BY due_at, difficulty`,
+          [studyPackId, userId]
         ),
         query(
-          'SELECT * FROM mcqs WHERE study_set_id = $1 ORDER BY due_at, difficulty',
-          [studyPackId]
+          `SELECT * FROM (${reviewItemsSql('$2', 'mcq')}) items WHERE study_set_id = $1 ORDER BY due_at, difficulty`,
+          [studyPackId, userId]
         )
       ]);
 
-      response.flashcards = flashcards.rows;
-      response.mcqs = mcqs.rows;
+      [response.flashcards, response.mcqs] = await Promise.all([
+        attachItemSources(flashcards.rows, userId),
+        attachItemSources(mcqs.rows, userId)
+      ]);
     }
 
     return response;
@@ -267,7 +501,8 @@ const getStudyPackDetails = async (studyPackId, userId, includeItems = false) =>
   }
 };
 
-// Auto-generate study packs for users with new content
+// Auto-generate study packs for users with new content. Each runs as a generation job,
+// so failed and cancelled runs are cleaned up like those requested through the API.
 const autoGenerateStudyPacks = async () => {
   try {
     console.log('🤖 Starting automatic study pack generation...');
@@ -290,20 +525,20 @@ const autoGenerateStudyPacks = async () => {
         // Extract topics from user preferences or recent content
         const topics = preferences?.preferred_topics || ['medicine', 'anatomy', 'physiology'];
         
-        await generateStudyPack(user_id, {
+        const job = await enqueueStudyPackGeneration(user_id, {
           topics,
           difficulty: preferences?.difficulty_level || 2,
           manualGeneration: false
         });
 
-        console.log(`✅ Generated study pack for user ${user_id}`);
+        console.log(`✅ Queued study pack generation for user ${user_id} (job ${job.id})`);
 
       } catch (error) {
-        console.error(`❌ Failed to generate study pack for user ${user_id}:`, error);
+        console.error(`❌ Failed to queue study pack generation for user ${user_id}:`, error);
       }
     }
 
-    console.log('🎯 Automatic study pack generation completed');
+    console.log('🎯 Automatic study pack generation queued');
 
   } catch (error) {
     console.error('Auto-generation error:', error);
@@ -313,8 +548,13 @@ const autoGenerateStudyPacks = async () => {
 
 module.exports = {
   generateStudyPack,
+  enqueueStudyPackGeneration,
+  enqueueSummaryRegeneration,
+  getGenerationJob,
+  GENERATION_JOB_TYPES_SQL,
   getStudyPacks,
   getStudyPackDetails,
+  attachItemSources,
   autoGenerateStudyPacks,
   retrieveRelevantContent
 };
\ No newline at end of file
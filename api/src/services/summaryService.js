@@ -0,0 +1,205 @@
+const { query } = require('../models/database');
+const { segmentWords } = require('./textSegmentation');
+
+// Study pack summaries. Summaries are Markdown with a `##` section per topic; each
+// (re)generation is stored as a new version, and the highest version is current.
+// Sections are parsed out on save so clients can build a table of contents and
+// compare versions section by section.
+
+const WORDS_PER_MINUTE = 200;
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+const slugify = (text) => {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s-]/gu, '')
+    .trim()
+    .replace(/\s+/g, '-') || 'section';
+};
+
+// Split Markdown into sections at headings (ignoring # lines inside code fences).
+// Text before the first heading becomes an untitled level-0 section. A section is
+// attributed to the topic its heading (or nearest enclosing heading) names.
+const parseSummarySections = (markdown, topics = []) => {
+  const sections = [];
+  const anchors = new Map();
+  let current = { title: null, level: 0, lines: [] };
+  let inFence = false;
+
+  const pushCurrent = () => {
+    const content = current.lines.join('\n').trim();
+    if (current.title === null && !content) {
+      return;
+    }
+    sections.push({ title: current.title, level: current.level, content });
+  };
+
+  for (const line of markdown.split('\n')) {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+    }
+    const heading = !inFence && line.match(HEADING_PATTERN);
+    if (heading) {
+      pushCurrent();
+      current = { title: heading[2], level: heading[1].length, lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  pushCurrent();
+
+  const lowerTopics = topics.map(topic => topic.toLowerCase());
+  let enclosingTopic = null;
+  let enclosingLevel = 0;
+
+  return sections.map(section => {
+    const base = slugify(section.title || 'overview');
+    const count = anchors.get(base) || 0;
+    anchors.set(base, count + 1);
+
+    const topicIndex = section.title
+      ? lowerTopics.findIndex(topic => section.title.toLowerCase().includes(topic))
+      : -1;
+    if (topicIndex !== -1) {
+      enclosingTopic = topics[topicIndex];
+      enclosingLevel = section.level;
+    } else if (section.level <= enclosingLevel) {
+      enclosingTopic = null;
+    }
+
+    return {
+      ...section,
+      anchor: count === 0 ? base : `${base}-${count}`,
+      topic: enclosingTopic
+    };
+  });
+};
+
+const countWords = (markdown) => segmentWords(markdown.replace(/[#*_`>|-]/g, ' ')).length;
+
+// Shape a summary row for API responses, with what a client needs to render it
+const formatSummary = (row) => {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    version: row.version,
+    format: 'markdown',
+    content: row.content,
+    sections: row.sections,
+    toc: row.sections
+      .filter(section => section.title)
+      .map(({ title, level, anchor, topic }) => ({ title, level, anchor, topic })),
+    wordCount: row.word_count,
+    readingTimeMinutes: Math.max(1, Math.ceil(row.word_count / WORDS_PER_MINUTE)),
+    createdBy: { id: row.created_by, fullName: row.created_by_name || null },
+    createdAt: row.created_at
+  };
+};
+
+// Store a summary as the next version for the study set
+// (pass a transaction client to store it atomically with other writes)
+const saveSummaryVersion = async (studySetId, markdown, { topics = [], createdBy = null, client = null } = {}) => {
+  const runQuery = client ? client.query.bind(client) : query;
+  const sections = parseSummarySections(markdown, topics);
+
+  const result = await runQuery(`
+    INSERT INTO study_set_summaries (study_set_id, version, content, sections, word_count, created_by)
+    SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5
+    FROM study_set_summaries WHERE study_set_id = $1
+    RETURNING *
+  `, [studySetId, markdown, JSON.stringify(sections), countWords(markdown), createdBy]);
+
+  return result.rows[0];
+};
+
+// A version of a study set's summary (the current one by default), or null
+const getSummary = async (studySetId, version = null) => {
+  const result = await query(`
+    SELECT sm.*, u.full_name as created_by_name
+    FROM study_set_summaries sm
+    LEFT JOIN users u ON sm.created_by = u.id
+    WHERE sm.study_set_id = $1 AND ($2::int IS NULL OR sm.version = $2)
+    ORDER BY sm.version DESC
+    LIMIT 1
+  `, [studySetId, version]);
+
+  return result.rows[0] || null;
+};
+
+const listSummaryVersions = async (studySetId) => {
+  const result = await query(`
+    SELECT sm.version, sm.word_count, sm.created_at, sm.created_by, u.full_name as created_by_name,
+           jsonb_array_length(sm.sections) as section_count
+    FROM study_set_summaries sm
+    LEFT JOIN users u ON sm.created_by = u.id
+    WHERE sm.study_set_id = $1
+    ORDER BY sm.version DESC
+  `, [studySetId]);
+
+  return result.rows.map(row => ({
+    version: row.version,
+    wordCount: row.word_count,
+    sectionCount: row.section_count,
+    createdBy: { id: row.created_by, fullName: row.created_by_name },
+    createdAt: row.created_at
+  }));
+};
+
+// Compare two versions section by section (sections are matched by anchor).
+// Returns null when either version doesn't exist.
+const compareSummaryVersions = async (studySetId, fromVersion, toVersion) => {
+  const [from, to] = await Promise.all([
+    getSummary(studySetId, fromVersion),
+    getSummary(studySetId, toVersion)
+  ]);
+  if (!from || !to) {
+    return null;
+  }
+
+  const fromSections = new Map(from.sections.map(section => [section.anchor, section]));
+  const toSections = new Map(to.sections.map(section => [section.anchor, section]));
+
+  const sections = to.sections.map(section => {
+    const previous = fromSections.get(section.anchor);
+    return {
+      anchor: section.anchor,
+      title: section.title,
+      topic: section.topic,
+      status: !previous ? 'added' : previous.content === section.content ? 'unchanged' : 'changed',
+      from: previous ? previous.content : null,
+      to: section.content
+    };
+  });
+
+  for (const section of from.sections) {
+    if (!toSections.has(section.anchor)) {
+      sections.push({
+        anchor: section.anchor,
+        title: section.title,
+        topic: section.topic,
+        status: 'removed',
+        from: section.content,
+        to: null
+      });
+    }
+  }
+
+  return {
+    from: { version: from.version, wordCount: from.word_count, createdAt: from.created_at },
+    to: { version: to.version, wordCount: to.word_count, createdAt: to.created_at },
+    sections
+  };
+};
+
+module.exports = {
+  parseSummarySections,
+  formatSummary,
+  saveSummaryVersion,
+  getSummary,
+  listSummaryVersions,
+  compareSummaryVersions
+};
@@ -0,0 +1,138 @@
+// Table detection from positioned PDF text items (pdf.js getTextContent output).
+// Text is grouped into lines by baseline, each line is split into cells at wide
+// horizontal gaps, and runs of consecutive multi-cell lines whose cells line up
+// in the same columns become tables.
+
+const LINE_Y_TOLERANCE = 2; // text units; items closer than this share a line
+const COLUMN_X_TOLERANCE = 12; // cell starts closer than this share a column
+const MIN_TABLE_ROWS = 3;
+const MAX_AVERAGE_CELL_LENGTH = 40; // longer cells are prose in a two-column layout
+const CAPTION_PATTERN = /^(table|tab\.|ตารางที่|ตาราง)\s*[\dIVX]+/i;
+
+const getFontHeight = (item) => Math.abs(item.transform[3]) || item.height || 10;
+
+// Horizontal space between the end of one text item and the start of the next
+const getGap = (previous, item) => item.transform[4] - (previous.transform[4] + previous.width);
+
+// Group text items into lines, top of the page first, each sorted left to right
+const groupIntoLines = (items) => {
+  const lines = [];
+
+  for (const item of items) {
+    if (!item.str || item.str.trim().length === 0) continue;
+
+    const y = item.transform[5];
+    const line = lines.find(candidate => Math.abs(candidate.y - y) <= LINE_Y_TOLERANCE);
+    if (line) {
+      line.items.push(item);
+    } else {
+      lines.push({ y, items: [item] });
+    }
+  }
+
+  lines.sort((a, b) => b.y - a.y);
+  for (const line of lines) {
+    line.items.sort((a, b) => a.transform[4] - b.transform[4]);
+  }
+  return lines;
+};
+
+// Split a line into cells wherever the gap between items is wider than about two spaces
+const splitIntoCells = (line) => {
+  const cells = [];
+  let current = null;
+
+  for (const item of line.items) {
+    const gap = current ? getGap(current.last, item) : 0;
+
+    if (current && gap <= getFontHeight(item) * 1.2) {
+      current.text += (gap > getFontHeight(item) * 0.15 ? ' ' : '') + item.str;
+      current.last = item;
+    } else {
+      current = { x: item.transform[4], text: item.str, last: item };
+      cells.push(current);
+    }
+  }
+
+  return cells.map(cell => ({ x: cell.x, text: cell.text.replace(/\s+/g, ' ').trim() }));
+};
+
+// Whether a row's cells start in the table's columns
+const alignsWithColumns = (cells, columns) => {
+  const aligned = cells.filter(cell => columns.some(x => Math.abs(x - cell.x) <= COLUMN_X_TOLERANCE));
+  return aligned.length >= 2 && aligned.length >= cells.length - 1;
+};
+
+// Turn a run of aligned lines into a table of rows with one entry per column
+const buildTable = (run, captionLine) => {
+  const widest = run.reduce((best, row) => (row.cells.length > best.cells.length ? row : best), run[0]);
+  const columns = widest.cells.map(cell => cell.x);
+
+  const rows = run.map(row => {
+    const values = new Array(columns.length).fill('');
+    for (const cell of row.cells) {
+      let nearest = 0;
+      columns.forEach((x, index) => {
+        if (Math.abs(x - cell.x) < Math.abs(columns[nearest] - cell.x)) {
+          nearest = index;
+        }
+      });
+      values[nearest] = values[nearest] ? `${values[nearest]} ${cell.text}` : cell.text;
+    }
+    return values;
+  });
+
+  return {
+    caption: captionLine,
+    columnCount: columns.length,
+    rows
+  };
+};
+
+// Detect tables on one page. Returns [{ caption, columnCount, rows: [[cell, ...], ...] }],
+// the first row usually being the header.
+const detectTables = (items) => {
+  const lines = groupIntoLines(items).map(line => ({ cells: splitIntoCells(line) }));
+  const tables = [];
+  let run = [];
+  let columns = null;
+
+  const closeRun = (endIndex) => {
+    const cellCount = run.reduce((sum, row) => sum + row.cells.length, 0);
+    const averageLength = run.reduce(
+      (sum, row) => sum + row.cells.reduce((total, cell) => total + cell.text.length, 0), 0
+    ) / Math.max(cellCount, 1);
+
+    if (run.length >= MIN_TABLE_ROWS && averageLength <= MAX_AVERAGE_CELL_LENGTH) {
+      // A "Table 2: ..." line just above the table is its caption
+      const above = lines[endIndex - run.length - 1];
+      const aboveText = above ? above.cells.map(cell => cell.text).join(' ') : '';
+      tables.push(buildTable(run, CAPTION_PATTERN.test(aboveText) ? aboveText : null));
+    }
+    run = [];
+    columns = null;
+  };
+
+  lines.forEach((line, index) => {
+    if (line.cells.length >= 2 && (!columns || alignsWithColumns(line.cells, columns))) {
+      run.push(line);
+      const xs = line.cells.map(cell => cell.x);
+      columns = columns ? [...columns, ...xs.filter(x => !columns.some(c => Math.abs(c - x) <= COLUMN_X_TOLERANCE))] : xs;
+    } else {
+      closeRun(index);
+      if (line.cells.length >= 2) {
+        run.push(line);
+        columns = line.cells.map(cell => cell.x);
+      }
+    }
+  });
+  closeRun(lines.length);
+
+  return tables;
+};
+
+module.exports = {
+  detectTables,
+  getGap,
+  getFontHeight
+};
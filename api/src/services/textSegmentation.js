@@ -0,0 +1,60 @@
+// Word segmentation for scripts written without spaces between words.
+// Thai only puts spaces between phrases, so splitting on whitespace turns a whole
+// line into one "word"; Intl.Segmenter's dictionary-based breaker finds the words.
+
+const THAI_PATTERN = /[\u0E00-\u0E7F]/;
+
+// Letters, combining marks (Thai vowels and tone marks) and digits
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+const thaiSegmenter = new Intl.Segmenter('th', { granularity: 'word' });
+
+const containsThai = (text) => THAI_PATTERN.test(text);
+
+// Split text into pieces of one word plus the spacing or punctuation after it,
+// so that pieces.join('') gives back the original text
+const splitWordPieces = (text) => {
+  if (!containsThai(text)) {
+    return text.match(/\S+\s*/g) || [];
+  }
+
+  const pieces = [];
+  for (const { segment, isWordLike } of thaiSegmenter.segment(text)) {
+    if (isWordLike || pieces.length === 0) {
+      pieces.push(segment);
+    } else {
+      pieces[pieces.length - 1] += segment;
+    }
+  }
+  return pieces;
+};
+
+// Split text into words: whitespace-separated for most text, dictionary-segmented for Thai
+const segmentWords = (text) => {
+  if (!containsThai(text)) {
+    return text.split(/\s+/).filter(word => word.length > 0);
+  }
+
+  return Array.from(thaiSegmenter.segment(text))
+    .filter(segment => segment.isWordLike)
+    .map(segment => segment.segment);
+};
+
+// Extract searchable terms (letters and digits only), with Thai words separated
+const extractTerms = (text) => {
+  return segmentWords(text).join(' ').match(WORD_PATTERN) || [];
+};
+
+// Text for the full-text index: Thai words separated by spaces so Postgres can
+// tokenize them; null when the text needs no segmentation
+const segmentForSearch = (text) => {
+  return containsThai(text) ? segmentWords(text).join(' ') : null;
+};
+
+module.exports = {
+  containsThai,
+  splitWordPieces,
+  segmentWords,
+  extractTerms,
+  segmentForSearch
+};
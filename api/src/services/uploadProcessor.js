@@ -1,30 +1,47 @@
-const axios = require('axios');
-const pdf = require('pdf-parse');
 const fs = require('fs').promises;
 const { query, withTransaction } = require('../models/database');
-const { generateEmbeddings } = require('./embeddingService');
+const { generateEmbeddings, batchGenerateEmbeddings, getEmbeddingModelInfo } = require('./embeddingService');
+const { registerJobHandler, enqueueJob, cancelJob } = require('./jobQueue');
+const { SUPPORTED_FILE_TYPES, extractContent, extractTextFromPDF, detectFileType } = require('./extractors');
+const { extractFigures, copyFigureFiles, removeFigureFiles } = require('./figureExtractor');
+const { hashBuffer, computeSimHash, findExactDuplicate, findNearDuplicate } = require('./duplicateDetection');
+const { containsThai, splitWordPieces, segmentWords, extractTerms, segmentForSearch } = require('./textSegmentation');
+const { accessConditionSql } = require('./groupService');
+const { fetchPublicUrl } = require('./remoteFetch');
+
+// Chunking configuration
+const CHUNK_MAX_TOKENS = parseInt(process.env.CHUNK_MAX_TOKENS) || 500;
+const CHUNK_OVERLAP_TOKENS = parseInt(process.env.CHUNK_OVERLAP_TOKENS) || 50;
 
 // Text cleaning and chunking utilities
 const cleanText = (text) => {
   return text
+    .normalize('NFC')
+    // Remove special characters but keep letters and marks of any script (Thai included) and punctuation
+    .replace(/[^\p{L}\p{M}\p{N}\s\-\.,'";:!?()]/gu, '')
     .replace(/\s+/g, ' ') // Replace multiple whitespace with single space
-    .replace(/[^\w\s\-\.,'";:!?()]/g, '') // Remove special characters but keep punctuation
     .trim();
 };
 
+// Rough token estimation: ~0.75 tokens per character of a word
+// (Thai words are found by segmentation, since Thai doesn't space between words)
+const estimateTokens = (text) => {
+  return segmentWords(text)
+    .reduce((sum, word) => sum + Math.ceil(word.length * 0.75), 0);
+};
+
 const splitIntoChunks = (text, maxTokens = 500) => {
-  const words = text.split(' ');
+  const words = splitWordPieces(text);
   const chunks = [];
   let currentChunk = [];
   let currentTokenCount = 0;
 
   for (const word of words) {
-    // Rough token estimation: ~0.75 tokens per word
-    const wordTokens = Math.ceil(word.length * 0.75);
+    const wordTokens = estimateTokens(word);
     
     if (currentTokenCount + wordTokens > maxTokens && currentChunk.length > 0) {
       chunks.push({
-        text: currentChunk.join(' '),
+        text: currentChunk.join('').trim(),
         tokenCount: currentTokenCount
       });
       currentChunk = [word];
@@ -37,7 +54,7 @@ const splitIntoChunks = (text, maxTokens = 500) => {
 
   if (currentChunk.length > 0) {
     chunks.push({
-      text: currentChunk.join(' '),
+      text: currentChunk.join('').trim(),
       tokenCount: currentTokenCount
     });
   }
@@ -45,10 +62,260 @@ const splitIntoChunks = (text, maxTokens = 500) => {
   return chunks;
 };
 
-// Download PDF from URL
-const downloadPDF = async (url) => {
+// Headings are short lines without closing punctuation that are numbered
+// ("2.1 Glomerular filtration"), written in capitals ("NEPHROTIC SYNDROME"),
+// or marked "# " by the DOCX, PPTX and Markdown extractors
+const isHeadingLine = (line) => {
+  if (/^#{1,6}\s+\S/.test(line)) {
+    return true;
+  }
+
+  if (line.length === 0 || line.length > 80 || /[.,;:]$/.test(line)) {
+    return false;
+  }
+
+  if (/^(\d+(\.\d+)*\.?|[IVX]+\.|[A-Z]\.)\s+\S/.test(line)) {
+    return true;
+  }
+
+  const letters = line.replace(/[^A-Za-z]/g, '');
+  return letters.length >= 3 && letters === letters.toUpperCase();
+};
+
+// Split the raw text of one page into paragraph and heading blocks
+const splitIntoBlocks = (pageText, pageNumber) => {
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    const text = cleanText(paragraph.join(' '));
+    if (text.length > 0) {
+      blocks.push({ text, page: pageNumber, isHeading: false });
+    }
+    paragraph = [];
+  };
+
+  for (const rawLine of pageText.split('\n')) {
+    const line = rawLine.trim();
+
+    if (line.length === 0) {
+      flushParagraph();
+    } else if (isHeadingLine(line)) {
+      flushParagraph();
+      const text = cleanText(line);
+      if (text.length > 0) {
+        blocks.push({ text, page: pageNumber, isHeading: true });
+      }
+    } else {
+      paragraph.push(line);
+      // A line ending a sentence closes the paragraph
+      if (/[.!?]$/.test(line) && rawLine.length < 60) {
+        flushParagraph();
+      }
+    }
+  }
+
+  flushParagraph();
+  return blocks;
+};
+
+// Take the trailing segments of a chunk, up to overlapTokens, to seed the next chunk
+const getOverlapSegments = (segments, overlapTokens) => {
+  const overlap = [];
+  let tokens = 0;
+
+  for (let i = segments.length - 1; i >= 0 && tokens < overlapTokens; i--) {
+    const segment = segments[i];
+
+    if (tokens + segment.tokenCount <= overlapTokens) {
+      overlap.unshift({ ...segment, isOverlap: true });
+      tokens += segment.tokenCount;
+    } else {
+      // Only part of this segment fits: keep its trailing words
+      const words = splitWordPieces(segment.text);
+      const kept = [];
+      let keptTokens = 0;
+
+      for (let j = words.length - 1; j >= 0; j--) {
+        const wordTokens = estimateTokens(words[j]);
+        if (tokens + keptTokens + wordTokens > overlapTokens) break;
+        kept.unshift(words[j]);
+        keptTokens += wordTokens;
+      }
+
+      if (kept.length > 0) {
+        overlap.unshift({ text: kept.join('').trim(), page: segment.page, tokenCount: keptTokens, isOverlap: true, continues: true });
+      }
+      break;
+    }
+  }
+
+  return overlap;
+};
+
+// Join chunk segments with spaces, except where a paragraph was split
+// between two Thai words (Thai has no spaces between words)
+const joinSegments = (segments) => {
+  return segments.reduce((text, segment, index) => {
+    if (index === 0) {
+      return segment.text;
+    }
+    const joinsThai = segment.continues && containsThai(text.slice(-1)) && containsThai(segment.text[0]);
+    return text + (joinsThai ? '' : ' ') + segment.text;
+  }, '');
+};
+
+// Split per-page text into chunks that follow paragraph and heading boundaries
+// and record the page range each chunk was taken from
+const chunkPages = (pages, options = {}) => {
+  const {
+    maxTokens = CHUNK_MAX_TOKENS,
+    overlapTokens = CHUNK_OVERLAP_TOKENS
+  } = options;
+  const overlapLimit = Math.min(overlapTokens, Math.floor(maxTokens / 2));
+  const minTokensBeforeHeading = Math.floor(maxTokens / 4);
+
+  const chunks = [];
+  let segments = [];
+  let heading = null;
+
+  const segmentTokens = () => segments.reduce((sum, segment) => sum + segment.tokenCount, 0);
+  const newTokens = () => segments
+    .filter(segment => !segment.isOverlap)
+    .reduce((sum, segment) => sum + segment.tokenCount, 0);
+
+  const flush = (withOverlap) => {
+    if (newTokens() === 0) {
+      segments = [];
+      return;
+    }
+
+    const pageNumbers = segments.map(segment => segment.page);
+    chunks.push({
+      text: joinSegments(segments),
+      tokenCount: segmentTokens(),
+      pageStart: Math.min(...pageNumbers),
+      pageEnd: Math.max(...pageNumbers),
+      heading
+    });
+
+    segments = withOverlap && overlapLimit > 0 ? getOverlapSegments(segments, overlapLimit) : [];
+  };
+
+  pages.forEach((pageText, index) => {
+    for (const block of splitIntoBlocks(pageText || '', index + 1)) {
+      if (block.isHeading && newTokens() >= minTokensBeforeHeading) {
+        // Start a new chunk at the section boundary, without carrying overlap into it
+        flush(false);
+      }
+      if (block.isHeading) {
+        heading = block.text;
+      }
+
+      // Oversized paragraphs are split by words
+      const pieces = splitIntoChunks(block.text, maxTokens - overlapLimit);
+
+      for (const [pieceIndex, piece] of pieces.entries()) {
+        if (segmentTokens() + piece.tokenCount > maxTokens && newTokens() > 0) {
+          flush(true);
+        }
+        segments.push({ text: piece.text, page: block.page, tokenCount: piece.tokenCount, continues: pieceIndex > 0 });
+      }
+    }
+  });
+
+  flush(false);
+  return chunks;
+};
+
+// Format a chunk's page range for citations, e.g. "p. 12", "p. 12–13" or "slide 4"
+const formatPageRange = (pageRange) => {
+  if (!pageRange || !pageRange.start) {
+    return null;
+  }
+  const prefix = pageRange.unit === 'slide' ? 'slide' : 'p.';
+  return pageRange.start === pageRange.end
+    ? `${prefix} ${pageRange.start}`
+    : `${prefix} ${pageRange.start}–${pageRange.end}`;
+};
+
+// Format a transcript chunk's time range in seconds, e.g. "12:05–14:30" or "1:02:10"
+const formatTimeRange = (timeRange) => {
+  if (!timeRange || timeRange.start === undefined) {
+    return null;
+  }
+
+  const formatTime = (seconds) => {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+  };
+
+  const start = formatTime(timeRange.start);
+  const end = formatTime(timeRange.end);
+  return start === end ? start : `${start}–${end}`;
+};
+
+// Citation for a chunk: source title plus page, slide or transcript time range
+const formatChunkCitation = (chunk) => {
+  const location = formatPageRange(chunk.metadata?.page_range) || formatTimeRange(chunk.metadata?.time_range);
+  return [chunk.source_title, location].filter(Boolean).join(', ');
+};
+
+// Work out what a URL points to (PDF, web page, ...) from its extension or Content-Type,
+// treating anything unrecognised as a web page. Throws for URLs that may not be fetched.
+const detectRemoteFileType = async (url) => {
+  let mimeType = null;
   try {
-    const response = await axios.get(url, {
+    const response = await fetchPublicUrl(url, { method: 'head', timeout: 10000 });
+    mimeType = (response.headers['content-type'] || '').split(';')[0].trim() || null;
+  } catch (error) {
+    if (error.code === 'URL_NOT_ALLOWED') {
+      throw error;
+    }
+    // Some servers reject HEAD requests; fall back to the URL alone
+  }
+
+  return detectFileType({ fileName: new URL(url).pathname, mimeType }) || 'html';
+};
+
+// An error with a code that job status and the progress stream report to clients.
+// Pass retryable: false when another attempt would fail the same way.
+const processingError = (code, message, { retryable = true } = {}) => Object.assign(new Error(message), { code, retryable });
+
+// Share of overall progress (0-100) at the start and end of each processing stage;
+// OCR runs inside extraction for scanned pages
+const UPLOAD_STAGE_RANGES = {
+  queued: [0, 0],
+  download: [0, 5],
+  extract: [5, 25],
+  ocr: [5, 25],
+  chunk: [25, 30],
+  figures: [30, 35],
+  embed: [35, 90],
+  store: [90, 100]
+};
+
+// Overall percentage for a job progress record ({ stage, current, total })
+const getUploadProgressPercent = (progress) => {
+  const range = progress && UPLOAD_STAGE_RANGES[progress.stage];
+  if (!range) {
+    return 0;
+  }
+
+  const [start, end] = range;
+  const fraction = progress.total > 0 ? Math.min(progress.current / progress.total, 1) : 0;
+  return Math.round(start + (end - start) * fraction);
+};
+
+// Download a file from URL
+const downloadFile = async (url) => {
+  try {
+    // Only public addresses, including after redirects
+    const response = await fetchPublicUrl(url, {
+      method: 'get',
       responseType: 'arraybuffer',
       timeout: 30000, // 30 second timeout
       maxContentLength: 50 * 1024 * 1024, // 50MB max
@@ -56,74 +323,333 @@ const downloadPDF = async (url) => {
     
     return Buffer.from(response.data);
   } catch (error) {
-    console.error('PDF download error:', error.message);
-    throw new Error(`Failed to download PDF: ${error.message}`);
+    console.error('File download error:', error.message);
+    if (error.code === 'URL_NOT_ALLOWED') {
+      throw error;
+    }
+    throw processingError('DOWNLOAD_FAILED', `Failed to download file: ${error.message}`);
   }
 };
 
-// Extract text from PDF buffer
-const extractTextFromPDF = async (pdfBuffer) => {
-  try {
-    const data = await pdf(pdfBuffer);
-    
-    return {
-      text: data.text,
-      numPages: data.numpages,
-      info: data.info,
-      metadata: data.metadata
-    };
-  } catch (error) {
-    console.error('PDF extraction error:', error.message);
-    throw new Error(`Failed to extract text from PDF: ${error.message}`);
+// Chunks stored between store-stage progress updates
+const STORE_PROGRESS_INTERVAL = 100;
+
+// Chunks embedded per request, so progress can be reported while embedding
+const EMBEDDING_BATCH_SIZE = 20;
+
+// Find the source in the user's library this upload duplicates: an identical file,
+// or failing that the closest near-duplicate by text SimHash
+const findDuplicateOf = async (userId, sourceId, contentHash, simhash) => {
+  const exact = await findExactDuplicate(userId, contentHash, sourceId);
+  if (exact) {
+    return { sourceId: exact.id, similarity: 1 };
+  }
+  return findNearDuplicate(userId, simhash, sourceId);
+};
+
+// Flashcards and MCQs cite chunks by id, and processing a source again replaces its chunks.
+// Before the old chunks are deleted, note the ones that are cited...
+const getCitedChunks = async (client, sourceId) => {
+  const result = await client.query(`
+    SELECT dc.id, dc.chunk_text
+    FROM doc_chunks dc
+    WHERE dc.source_id = $1 AND (
+      EXISTS (SELECT 1 FROM flashcards f WHERE f.source_chunk_ids @> ARRAY[dc.id])
+      OR EXISTS (SELECT 1 FROM mcqs m WHERE m.source_chunk_ids @> ARRAY[dc.id])
+    )
+  `, [sourceId]);
+  return result.rows;
+};
+
+// Share of an old chunk's terms a new chunk must contain to take over its citations
+const CITATION_REMAP_MIN_OVERLAP = 0.5;
+
+// ...and once the new chunks are in, point each citation at the new chunk with the same
+// text, or failing that the one containing most of the old chunk's terms. Citations with
+// no match are dropped.
+const remapCitedChunks = async (client, sourceId, citedChunks) => {
+  if (citedChunks.length === 0) {
+    return;
+  }
+
+  const newChunks = (await client.query(
+    'SELECT id, chunk_text FROM doc_chunks WHERE source_id = $1',
+    [sourceId]
+  )).rows.map(chunk => ({ ...chunk, terms: new Set(extractTerms(chunk.chunk_text.toLowerCase())) }));
+
+  for (const cited of citedChunks) {
+    let replacement = newChunks.find(chunk => chunk.chunk_text === cited.chunk_text) || null;
+
+    if (!replacement) {
+      const citedTerms = new Set(extractTerms(cited.chunk_text.toLowerCase()));
+      let bestOverlap = 0;
+      for (const chunk of newChunks) {
+        let shared = 0;
+        for (const term of citedTerms) {
+          if (chunk.terms.has(term)) {
+            shared++;
+          }
+        }
+        const overlap = citedTerms.size > 0 ? shared / citedTerms.size : 0;
+        if (overlap > bestOverlap) {
+          bestOverlap = overlap;
+          replacement = chunk;
+        }
+      }
+      if (bestOverlap < CITATION_REMAP_MIN_OVERLAP) {
+        replacement = null;
+      }
+    }
+
+    for (const table of ['flashcards', 'mcqs']) {
+      await client.query(`
+        UPDATE ${table}
+        SET source_chunk_ids = array_remove(array_replace(source_chunk_ids, $1::uuid, $2::uuid), NULL)
+        WHERE source_chunk_ids @> ARRAY[$1::uuid]
+      `, [cited.id, replacement ? replacement.id : null]);
+    }
   }
 };
 
+// Copy chunks and embeddings from an already processed identical file (from any user),
+// skipping extraction and embedding. Only used when every donor chunk was embedded
+// with the current model. Returns null when there's nothing to reuse.
+const reuseProcessedChunks = async (sourceId, userId, contentHash) => {
+  const { model, dimension } = getEmbeddingModelInfo();
+
+  const donorResult = await query(`
+    SELECT s.id, s.page_count, s.text_simhash
+    FROM sources s
+    WHERE s.content_hash = $1 AND s.id <> $2 AND s.upload_status = 'completed'
+      AND EXISTS (SELECT 1 FROM doc_chunks dc WHERE dc.source_id = s.id)
+      AND NOT EXISTS (
+        SELECT 1 FROM doc_chunks dc
+        WHERE dc.source_id = s.id AND (dc.embedding_model IS DISTINCT FROM $3 OR dc.embedding_dim IS DISTINCT FROM $4)
+      )
+    ORDER BY s.processed_at DESC
+    LIMIT 1
+  `, [contentHash, sourceId, model, dimension]);
+
+  const donor = donorResult.rows[0];
+  if (!donor) {
+    return null;
+  }
+
+  const duplicateOf = await findDuplicateOf(userId, sourceId, contentHash, donor.text_simhash);
+  await copyFigureFiles(donor.id, sourceId);
+
+  const chunksCount = await withTransaction(async (client) => {
+    const citedChunks = await getCitedChunks(client, sourceId);
+    await client.query('DELETE FROM doc_chunks WHERE source_id = $1', [sourceId]);
+    await client.query('DELETE FROM source_figures WHERE source_id = $1', [sourceId]);
+
+    // Figure paths start with the owning source's directory
+    await client.query(`
+      INSERT INTO source_figures (source_id, page_number, figure_index, caption, file_path, width, height)
+      SELECT $1, page_number, figure_index, caption, regexp_replace(file_path, '^[^/]+/', $3), width, height
+      FROM source_figures
+      WHERE source_id = $2
+    `, [sourceId, donor.id, `${sourceId}/`]);
+
+    const inserted = await client.query(`
+      INSERT INTO doc_chunks (source_id, chunk_text, search_text, chunk_index, token_count, embedding, embedding_model, embedding_dim, metadata)
+      SELECT $1, chunk_text, search_text, chunk_index, token_count, embedding, embedding_model, embedding_dim,
+             metadata || jsonb_build_object('reused_from', source_id)
+      FROM doc_chunks
+      WHERE source_id = $2
+    `, [sourceId, donor.id]);
+    await remapCitedChunks(client, sourceId, citedChunks);
+
+    await client.query(`
+      UPDATE sources
+      SET page_count = $1, content_hash = $2, text_simhash = $3, duplicate_of = $4, duplicate_similarity = $5,
+          upload_status = $6, processed_at = NOW()
+      WHERE id = $7
+    `, [
+      donor.page_count,
+      contentHash,
+      donor.text_simhash,
+      duplicateOf ? duplicateOf.sourceId : null,
+      duplicateOf ? duplicateOf.similarity : null,
+      'completed',
+      sourceId
+    ]);
+
+    return inserted.rowCount;
+  });
+
+  console.log(`♻️ Reused ${chunksCount} chunks from identical source ${donor.id} for source ${sourceId}`);
+
+  return {
+    sourceId,
+    chunksCount,
+    pagesCount: donor.page_count,
+    reusedFrom: donor.id,
+    status: 'completed'
+  };
+};
+
+// List the OCR'd pages within a chunk's page range
+const getChunkOcrPages = (chunk, ocrPages) => {
+  const pages = [];
+  for (let page = chunk.pageStart; page <= chunk.pageEnd; page++) {
+    if (ocrPages[page] !== undefined) {
+      pages.push({ page, confidence: ocrPages[page] });
+    }
+  }
+  return pages;
+};
+
+// Attach each detected table to the chunk holding its first row,
+// or to the first chunk on its page when the row text was split
+const assignTablesToChunks = (chunks, tables) => {
+  const chunkTables = chunks.map(() => []);
+
+  for (const table of tables) {
+    const onPage = chunks
+      .map((chunk, index) => index)
+      .filter(index => chunks[index].pageStart <= table.page && table.page <= chunks[index].pageEnd);
+    if (onPage.length === 0) continue;
+
+    const firstRow = cleanText(table.rows[0].filter(Boolean).join(' '));
+    const index = onPage.find(i => chunks[i].text.includes(firstRow)) ?? onPage[0];
+    chunkTables[index].push(table);
+  }
+
+  return chunkTables;
+};
+
 // Main upload processing function
-const processUpload = async (sourceId, filePath, userId, fileBuffer = null) => {
+// options.fileType selects the extractor (defaults to 'pdf');
+// options.reprocess skips reusing chunks from identical files, so the pipeline really runs again;
+// options.onProgress({ stage, current, total, message }) is called as each stage starts
+const processUpload = async (sourceId, filePath, userId, options = {}) => {
+  const reportProgress = async (progress) => {
+    if (options.onProgress) {
+      await options.onProgress(progress);
+    }
+  };
+
+  const fileType = options.fileType || 'pdf';
+
   try {
-    console.log(`📄 Starting processing for source: ${sourceId}`);
+    console.log(`📄 Starting processing for source: ${sourceId} (${fileType})`);
+
+    if (!SUPPORTED_FILE_TYPES.includes(fileType)) {
+      throw processingError('UNSUPPORTED_FILE_TYPE', `Unsupported file type: ${fileType}`, { retryable: false });
+    }
 
-    // Step 1: Download or use provided PDF buffer
-    let pdfBuffer;
-    if (fileBuffer) {
-      pdfBuffer = fileBuffer;
-    } else if (filePath.startsWith('http')) {
+    // Step 1: Download the file, or read it when it is stored locally
+    await reportProgress({ stage: 'download', message: 'Reading file' });
+    let buffer;
+    if (filePath.startsWith('http')) {
       // Download from URL
-      pdfBuffer = await downloadPDF(filePath);
+      buffer = await downloadFile(filePath);
     } else {
       // Read from local file
-      pdfBuffer = await fs.readFile(filePath);
+      buffer = await fs.readFile(filePath);
+    }
+
+    // Identical files that were processed before already have chunks and embeddings
+    const contentHash = hashBuffer(buffer);
+    if (!options.reprocess) {
+      const reused = await reuseProcessedChunks(sourceId, userId, contentHash);
+      if (reused) {
+        await reportProgress({ stage: 'store', current: reused.chunksCount, total: reused.chunksCount, message: 'Reused chunks from an identical file' });
+        return reused;
+      }
     }
 
-    // Step 2: Extract text from PDF
-    const extractionResult = await extractTextFromPDF(pdfBuffer);
+    // Step 2: Extract text with the extractor for this file type
+    await reportProgress({ stage: 'extract', message: 'Extracting text' });
+    const extractionResult = await extractContent(fileType, buffer, {
+      url: filePath,
+      onProgress: (done, total) => reportProgress({ stage: 'ocr', current: done, total, message: `Running OCR on page ${done + 1}/${total}` })
+    });
+    const ocrPages = extractionResult.ocrPages || {};
     
     if (!extractionResult.text || extractionResult.text.trim().length === 0) {
-      throw new Error('No text content found in PDF');
+      throw processingError('NO_TEXT', 'No text content found in file', { retryable: false });
     }
 
-    console.log(`📝 Extracted ${extractionResult.text.length} characters from ${extractionResult.numPages} pages`);
+    const unitCount = extractionResult.pageUnit
+      ? `${extractionResult.numPages} ${extractionResult.pageUnit}s`
+      : '1 section';
+    const ocrPageCount = Object.keys(ocrPages).length;
+    console.log(`📝 Extracted ${extractionResult.text.length} characters from ${unitCount}${ocrPageCount > 0 ? ` (${ocrPageCount} read by OCR)` : ''}`);
+
+    const simhash = computeSimHash(extractionResult.text);
+    const duplicateOf = await findDuplicateOf(userId, sourceId, contentHash, simhash);
+    if (duplicateOf) {
+      console.log(`🪞 Source ${sourceId} duplicates ${duplicateOf.sourceId} (similarity ${duplicateOf.similarity.toFixed(2)})`);
+    }
 
-    // Step 3: Clean and chunk the text
-    const cleanedText = cleanText(extractionResult.text);
-    const chunks = splitIntoChunks(cleanedText, 500);
+    // Step 3: Clean and chunk the text page by page
+    await reportProgress({ stage: 'chunk', message: `Chunking ${unitCount}` });
+    const chunks = chunkPages(extractionResult.pages);
+    const chunkTables = assignTablesToChunks(chunks, extractionResult.tables || []);
     
     console.log(`🔪 Split into ${chunks.length} chunks`);
 
+    // Embedded images with their captions; a failure here shouldn't fail the upload
+    let figures = [];
+    if (fileType === 'pdf') {
+      await reportProgress({ stage: 'figures', message: 'Extracting figures' });
+      try {
+        figures = await extractFigures(buffer, sourceId, extractionResult.pages);
+        console.log(`🖼️ Extracted ${figures.length} figures and ${(extractionResult.tables || []).length} tables`);
+      } catch (error) {
+        console.error('Figure extraction error:', error.message);
+      }
+    }
+
     // Step 4: Generate embeddings for all chunks
-    const embeddingResults = await generateEmbeddings(chunks.map(chunk => chunk.text));
+    await reportProgress({ stage: 'embed', current: 0, total: chunks.length, message: `Embedding 0/${chunks.length} chunks` });
+    const embeddingResults = await batchGenerateEmbeddings(
+      chunks.map(chunk => chunk.text),
+      EMBEDDING_BATCH_SIZE,
+      0,
+      (done, total) => reportProgress({ stage: 'embed', current: done, total, message: `Embedding ${done}/${total} chunks` })
+    );
+    const { model: embeddingModel, dimension: embeddingDim } = getEmbeddingModelInfo();
     
     if (embeddingResults.length !== chunks.length) {
-      throw new Error('Mismatch between chunks and embeddings');
+      throw processingError('EMBEDDING_MISMATCH', 'Mismatch between chunks and embeddings');
     }
 
     // Step 5: Store chunks and embeddings in database
+    await reportProgress({ stage: 'store', current: 0, total: chunks.length, message: `Storing ${chunks.length} chunks` });
     await withTransaction(async (client) => {
-      // Update source with page count and status
-      await client.query(
-        'UPDATE sources SET page_count = $1, upload_status = $2, processed_at = NOW() WHERE id = $3',
-        [extractionResult.numPages, 'completed', sourceId]
-      );
+      // Replace chunks and figures left by an earlier run of this source
+      const citedChunks = await getCitedChunks(client, sourceId);
+      await client.query('DELETE FROM doc_chunks WHERE source_id = $1', [sourceId]);
+      await client.query('DELETE FROM source_figures WHERE source_id = $1', [sourceId]);
+
+      for (const figure of figures) {
+        await client.query(`
+          INSERT INTO source_figures (source_id, page_number, figure_index, caption, file_path, width, height)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [sourceId, figure.page, figure.figureIndex, figure.caption, figure.filePath, figure.width, figure.height]);
+      }
+
+      // Update source with page count, duplicate detection results and status.
+      // Sources added by URL are titled with the URL until the page's own title is known.
+      await client.query(`
+        UPDATE sources
+        SET page_count = $1, content_hash = $2, text_simhash = $3, duplicate_of = $4, duplicate_similarity = $5,
+            upload_status = $6, processed_at = NOW(),
+            title = CASE WHEN title = file_path AND $8::text IS NOT NULL THEN $8 ELSE title END
+        WHERE id = $7
+      `, [
+        extractionResult.numPages,
+        contentHash,
+        simhash,
+        duplicateOf ? duplicateOf.sourceId : null,
+        duplicateOf ? duplicateOf.similarity : null,
+        'completed',
+        sourceId,
+        extractionResult.title || null
+      ]);
 
       // Insert all chunks with embeddings
       for (let i = 0; i < chunks.length; i++) {
@@ -131,58 +657,192 @@ const processUpload = async (sourceId, filePath, userId, fileBuffer = null) => {
         const embedding = embeddingResults[i];
 
         await client.query(`
-          INSERT INTO doc_chunks (source_id, chunk_text, chunk_index, token_count, embedding, metadata)
-          VALUES ($1, $2, $3, $4, $5, $6)
+          INSERT INTO doc_chunks (source_id, chunk_text, search_text, chunk_index, token_count, embedding, embedding_model, embedding_dim, metadata)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
         `, [
           sourceId,
           chunk.text,
+          segmentForSearch(chunk.text),
           i,
           chunk.tokenCount,
           JSON.stringify(embedding), // Store as JSON array
+          embeddingModel,
+          embeddingDim,
           {
-            page_range: null, // Could be enhanced to track page numbers
+            // Formats without pages (DOCX, Markdown, text) have no page range
+            page_range: extractionResult.pageUnit
+              ? { start: chunk.pageStart, end: chunk.pageEnd, unit: extractionResult.pageUnit }
+              : null,
+            heading: chunk.heading,
+            // Pages in this chunk read by OCR, with Tesseract's mean word confidence (0-100)
+            ocr_pages: getChunkOcrPages(chunk, ocrPages),
+            // Tables as rows of cells, the first row usually the header
+            tables: chunkTables[i],
+            // Transcripts: the chunk's start and end in seconds
+            time_range: extractionResult.timestamps
+              ? { start: extractionResult.timestamps[chunk.pageStart - 1].start, end: extractionResult.timestamps[chunk.pageEnd - 1].end }
+              : null,
             extraction_info: {
+              file_type: fileType,
               total_pages: extractionResult.numPages,
               pdf_info: extractionResult.info
             }
           }
         ]);
+
+        if ((i + 1) % STORE_PROGRESS_INTERVAL === 0) {
+          await reportProgress({ stage: 'store', current: i + 1, total: chunks.length, message: `Storing ${i + 1}/${chunks.length} chunks` });
+        }
       }
+
+      await remapCitedChunks(client, sourceId, citedChunks);
     });
 
     console.log(`✅ Successfully processed source ${sourceId}: ${chunks.length} chunks stored`);
 
-    // Clean up local file if it was uploaded directly
-    if (!filePath.startsWith('http') && fileBuffer) {
-      try {
-        await fs.unlink(filePath);
-      } catch (error) {
-        console.warn('Could not delete temporary file:', error.message);
-      }
-    }
-
     return {
       sourceId,
       chunksCount: chunks.length,
       pagesCount: extractionResult.numPages,
+      figuresCount: figures.length,
       status: 'completed'
     };
 
   } catch (error) {
+    // The job queue retries the upload and marks the source failed after the last attempt
     console.error(`❌ Processing failed for source ${sourceId}:`, error);
+    throw error;
+  }
+};
 
-    // Update source status to failed
-    try {
-      await query(
-        'UPDATE sources SET upload_status = $1 WHERE id = $2',
-        ['failed', sourceId]
-      );
-    } catch (updateError) {
-      console.error('Failed to update source status:', updateError);
+// Background job: process an upload, marking the source failed once retries run out.
+// It stops at its next progress report once cancelled (deleting the source cancels it).
+registerJobHandler('process_upload', {
+  run: async (job, { reportProgress: saveProgress, checkCancelled }) => {
+    const reportProgress = async (progress) => {
+      await checkCancelled();
+      await saveProgress(progress);
+    };
+    const { sourceId, filePath, userId, reprocess, detectRemoteType } = job.payload;
+    let { fileType } = job.payload;
+    await query(
+      'UPDATE sources SET upload_status = $1 WHERE id = $2',
+      ['processing', sourceId]
+    );
+
+    // Sources added by URL learn their type from the server's Content-Type
+    if (detectRemoteType) {
+      await reportProgress({ stage: 'download', message: 'Checking URL' });
+      fileType = await detectRemoteFileType(filePath);
+      await query('UPDATE sources SET file_type = $1 WHERE id = $2', [fileType, sourceId]);
     }
 
-    throw error;
+    return processUpload(sourceId, filePath, userId, {
+      fileType: fileType || 'pdf',
+      reprocess: Boolean(reprocess),
+      onProgress: reportProgress
+    });
+  },
+  onFailed: async (job) => {
+    await query(
+      'UPDATE sources SET upload_status = $1 WHERE id = $2',
+      ['failed', job.payload.sourceId]
+    );
+  }
+});
+
+// Create a source record and queue its processing in one transaction
+// (contentHash is known up front for direct uploads; otherwise it's computed during processing).
+// detectRemoteType has the job replace fileType with the type the URL's server reports.
+const createSource = async (userId, { title, filePath, fileType, fileSize, tags = [], contentHash = null, detectRemoteType = false }) => {
+  return withTransaction(async (client) => {
+    const sourceResult = await client.query(`
+      INSERT INTO sources (user_id, title, file_path, file_type, file_size, tags, content_hash, upload_status)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      userId,
+      title,
+      filePath,
+      fileType,
+      fileSize,
+      tags,
+      contentHash,
+      'processing'
+    ]);
+
+    const source = sourceResult.rows[0];
+    const job = await enqueueJob('process_upload', {
+      sourceId: source.id,
+      filePath,
+      fileType,
+      userId,
+      detectRemoteType
+    }, { userId, sourceId: source.id, client });
+
+    return { source, job };
+  });
+};
+
+// Re-run processing on an existing source, e.g. after a pipeline improvement.
+// Group members with edit permission can reprocess shared sources; the job runs for the owner.
+// Returns null if the source doesn't exist; chunks are replaced when the job stores its results.
+const reprocessSource = async (sourceId, userId) => {
+  return withTransaction(async (client) => {
+    const sourceResult = await client.query(`
+      UPDATE sources s SET upload_status = $1
+      WHERE s.id = $2 AND ${accessConditionSql('source', 's', '$3', { requireEdit: true })}
+      RETURNING *
+    `, ['processing', sourceId, userId]);
+
+    const source = sourceResult.rows[0];
+    if (!source) {
+      return null;
+    }
+
+    const job = await enqueueJob('process_upload', {
+      sourceId: source.id,
+      filePath: source.file_path,
+      fileType: source.file_type,
+      userId: source.user_id,
+      reprocess: true
+    }, { userId: source.user_id, sourceId: source.id, client });
+
+    return { source, job };
+  });
+};
+
+// Delete a source; its chunks, figures and jobs go with it (ON DELETE CASCADE).
+// Its queued and running processing jobs are cancelled first, so a worker doesn't carry on
+// with a file that is gone. The uploaded file and extracted figure images are removed too.
+const deleteSource = async (sourceId, userId) => {
+  const activeJobs = await query(`
+    SELECT j.id FROM jobs j
+    JOIN sources s ON j.source_id = s.id
+    WHERE j.source_id = $1 AND s.user_id = $2 AND j.status IN ('queued', 'running')
+  `, [sourceId, userId]);
+  for (const job of activeJobs.rows) {
+    await cancelJob(job.id);
   }
+
+  const deleted = await query(
+    'DELETE FROM sources WHERE id = $1 AND user_id = $2 RETURNING id, file_path',
+    [sourceId, userId]
+  );
+  const result = deleted.rows[0] || null;
+
+  if (result && !result.file_path.startsWith('http')) {
+    try {
+      await fs.unlink(result.file_path);
+    } catch (error) {
+      console.warn('Could not delete uploaded file:', error.message);
+    }
+  }
+  if (result) {
+    await removeFigureFiles(sourceId);
+  }
+
+  return result;
 };
 
 // Get processed chunks for a source
@@ -192,7 +852,7 @@ const getSourceChunks = async (sourceId, userId, limit = 50, offset = 0) => {
       SELECT dc.*, s.title as source_title
       FROM doc_chunks dc
       JOIN sources s ON dc.source_id = s.id
-      WHERE dc.source_id = $1 AND s.user_id = $2
+      WHERE dc.source_id = $1 AND ${accessConditionSql('source', 's', '$2')}
       ORDER BY dc.chunk_index
       LIMIT $3 OFFSET $4
     `, [sourceId, userId, limit, offset]);
@@ -204,25 +864,162 @@ const getSourceChunks = async (sourceId, userId, limit = 50, offset = 0) => {
   }
 };
 
-// Search chunks by similarity
-const searchChunks = async (userId, query, limit = 10) => {
+// Build the WHERE clause for chunk searches from optional source filters
+// (groupId limits the search to sources shared with that group)
+const buildSourceFilters = (filters, params) => {
+  const { sourceIds = [], tags = [], uploadedAfter, uploadedBefore, groupId } = filters;
+  let clause = '';
+
+  if (groupId) {
+    params.push(groupId);
+    clause += ` AND EXISTS (SELECT 1 FROM source_shares fs WHERE fs.source_id = s.id AND fs.group_id = $${params.length})`;
+  }
+
+  if (sourceIds.length > 0) {
+    params.push(sourceIds);
+    clause += ` AND s.id = ANY($${params.length})`;
+  }
+
+  if (tags.length > 0) {
+    params.push(tags);
+    clause += ` AND s.tags && $${params.length}`;
+  }
+
+  if (uploadedAfter) {
+    params.push(uploadedAfter);
+    clause += ` AND s.created_at >= $${params.length}`;
+  }
+
+  if (uploadedBefore) {
+    params.push(uploadedBefore);
+    clause += ` AND s.created_at <= $${params.length}`;
+  }
+
+  return clause;
+};
+
+// Search modes for chunk retrieval
+const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+const DEFAULT_SEARCH_MODE = SEARCH_MODES.includes(process.env.SEARCH_MODE) ? process.env.SEARCH_MODE : 'hybrid';
+
+// Reciprocal rank fusion constant (60 is the value from the original RRF paper)
+const RRF_K = 60;
+
+// Build an OR-ed tsquery from free text so partial matches still rank,
+// e.g. "furosemide dose in CKD" -> "furosemide | dose | in | CKD"
+const buildKeywordQuery = (text) => {
+  const terms = extractTerms(text);
+  return [...new Set(terms)].join(' | ');
+};
+
+// Vector similarity search (cosine distance, matching the per-dimension ivfflat index).
+// Only chunks embedded with the current model are comparable with the query embedding;
+// the dimension is inlined so the planner can match the partial index.
+const vectorSearch = async (userId, queryEmbedding, limit, filters) => {
+  const { model, dimension } = getEmbeddingModelInfo();
+  const params = [JSON.stringify(queryEmbedding), userId, model];
+  const filterClause = buildSourceFilters(filters, params);
+  params.push(limit);
+
+  const result = await query(`
+    SELECT dc.*, s.title as source_title,
+           1 - (dc.embedding::vector(${dimension}) <=> $1::vector(${dimension})) as similarity
+    FROM doc_chunks dc
+    JOIN sources s ON dc.source_id = s.id
+    WHERE ${accessConditionSql('source', 's', '$2')} AND s.upload_status = 'completed'
+      AND dc.embedding_model = $3 AND dc.embedding_dim = ${dimension}${filterClause}
+    ORDER BY dc.embedding::vector(${dimension}) <=> $1::vector(${dimension})
+    LIMIT $${params.length}
+  `, params);
+
+  return result.rows;
+};
+
+// Full-text search ranked by ts_rank_cd with length normalisation (a BM25-style score)
+// Exact drug names, gene symbols and eponyms match here even when embeddings miss them
+const keywordSearch = async (userId, searchQuery, queryEmbedding, limit, filters) => {
+  const keywordQuery = buildKeywordQuery(searchQuery);
+  if (!keywordQuery) {
+    return [];
+  }
+
+  const { model, dimension } = getEmbeddingModelInfo();
+  const params = [keywordQuery, userId, queryEmbedding ? JSON.stringify(queryEmbedding) : null, model, dimension];
+  const filterClause = buildSourceFilters(filters, params);
+  params.push(limit);
+
+  // Similarity is only defined for chunks embedded with the current model
+  const result = await query(`
+    SELECT dc.*, s.title as source_title,
+           ts_rank_cd(dc.search_vector, to_tsquery('english', $1), 1) as keyword_rank,
+           CASE WHEN $3::vector IS NULL OR dc.embedding_model IS DISTINCT FROM $4 OR dc.embedding_dim IS DISTINCT FROM $5 THEN NULL
+                ELSE 1 - (dc.embedding::vector(${dimension}) <=> $3::vector(${dimension})) END as similarity
+    FROM doc_chunks dc
+    JOIN sources s ON dc.source_id = s.id
+    WHERE ${accessConditionSql('source', 's', '$2')} AND s.upload_status = 'completed'${filterClause}
+      AND dc.search_vector @@ to_tsquery('english', $1)
+    ORDER BY keyword_rank DESC
+    LIMIT $${params.length}
+  `, params);
+
+  return result.rows;
+};
+
+// Combine ranked result lists with reciprocal rank fusion: score = sum(1 / (k + rank))
+const fuseResults = (resultLists, limit) => {
+  const fused = new Map();
+
+  for (const results of resultLists) {
+    results.forEach((chunk, index) => {
+      const existing = fused.get(chunk.id);
+      const score = 1 / (RRF_K + index + 1);
+
+      if (existing) {
+        existing.score += score;
+        existing.keyword_rank = existing.keyword_rank ?? chunk.keyword_rank;
+        existing.similarity = existing.similarity ?? chunk.similarity;
+      } else {
+        fused.set(chunk.id, { ...chunk, score });
+      }
+    });
+  }
+
+  return [...fused.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// Search chunks by vector similarity, keywords, or both fused together
+const searchChunks = async (userId, searchQuery, limit = 10, options = {}) => {
+  const { mode = DEFAULT_SEARCH_MODE, ...filters } = options;
+
   try {
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(`Unsupported search mode: ${mode}`);
+    }
+
+    if (mode === 'keyword') {
+      const chunks = await keywordSearch(userId, searchQuery, null, limit, filters);
+      return chunks.map((chunk, index) => ({ ...chunk, score: 1 / (RRF_K + index + 1) }));
+    }
+
     // Generate embedding for search query
-    const queryEmbeddings = await generateEmbeddings([query]);
+    const queryEmbeddings = await generateEmbeddings([searchQuery]);
     const queryEmbedding = queryEmbeddings[0];
 
-    // Perform vector similarity search
-    const result = await query(`
-      SELECT dc.*, s.title as source_title,
-             1 - (dc.embedding <-> $1::vector) as similarity
-      FROM doc_chunks dc
-      JOIN sources s ON dc.source_id = s.id
-      WHERE s.user_id = $2
-      ORDER BY dc.embedding <-> $1::vector
-      LIMIT $3
-    `, [JSON.stringify(queryEmbedding), userId, limit]);
+    if (mode === 'vector') {
+      const chunks = await vectorSearch(userId, queryEmbedding, limit, filters);
+      return chunks.map((chunk, index) => ({ ...chunk, score: 1 / (RRF_K + index + 1) }));
+    }
 
-    return result.rows;
+    // Hybrid: fuse a larger candidate pool from both rankings
+    const candidateLimit = Math.min(limit * 4, 100);
+    const [vectorResults, keywordResults] = await Promise.all([
+      vectorSearch(userId, queryEmbedding, candidateLimit, filters),
+      keywordSearch(userId, searchQuery, queryEmbedding, candidateLimit, filters)
+    ]);
+
+    return fuseResults([vectorResults, keywordResults], limit);
   } catch (error) {
     console.error('Error searching chunks:', error);
     throw error;
@@ -231,9 +1028,21 @@ const searchChunks = async (userId, query, limit = 10) => {
 
 module.exports = {
   processUpload,
+  createSource,
+  reprocessSource,
+  deleteSource,
   getSourceChunks,
   searchChunks,
+  SEARCH_MODES,
+  DEFAULT_SEARCH_MODE,
   cleanText,
   splitIntoChunks,
+  estimateTokens,
+  chunkPages,
+  formatPageRange,
+  formatTimeRange,
+  formatChunkCitation,
+  detectRemoteFileType,
+  getUploadProgressPercent,
   extractTextFromPDF
 };
\ No newline at end of file
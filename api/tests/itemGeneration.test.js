@@ -0,0 +1,65 @@
+process.env.LLM_PROVIDER = 'mock';
+
+jest.mock('../src/models/database');
+
+const { generateItems } = require('../src/services/itemGeneration');
+
+const chunk = (id, chunkIndex, text) => ({
+  id,
+  source_id: 'source-1',
+  source_title: 'Endocrinology notes',
+  chunk_index: chunkIndex,
+  chunk_text: text,
+  metadata: { page_range: { start: chunkIndex + 1, end: chunkIndex + 1, unit: 'page' } },
+  score: 1 / (60 + chunkIndex + 1),
+  topics: ['diabetes']
+});
+
+// Two of the key terms differ only in case, as they do when one starts a sentence
+const chunks = [
+  chunk('chunk-1', 0, 'Gluconeogenesis in the liver raises blood glucose during prolonged fasting. Insulin secretion from pancreatic beta cells falls when blood glucose is low.'),
+  chunk('chunk-2', 1, 'Glucagon promotes gluconeogenesis and glycogenolysis in hepatocytes. Metformin lowers hepatic glucose output and is first-line therapy in type 2 diabetes.'),
+  chunk('chunk-3', 2, 'Sulfonylureas close potassium channels in beta cells to stimulate insulin release. Hypoglycaemia is the most important adverse effect of sulfonylurea therapy.')
+];
+
+const lowerCased = (values) => values.map(value => value.toLowerCase());
+
+describe('generateItems with the mock provider', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  test('MCQs cite their chunks and have three distinct distractors', async () => {
+    const { items, rejected } = await generateItems('mcqs', chunks, ['diabetes'], { count: 4 });
+
+    expect(items).toHaveLength(4);
+    expect(rejected.filter(({ reasons }) => reasons.includes('too_few_distractors'))).toEqual([]);
+
+    const chunkIds = chunks.map(({ id }) => id);
+    for (const item of items) {
+      expect(item.topic).toBe('diabetes');
+      expect(item.sourceChunkIds.length).toBeGreaterThan(0);
+      expect(chunkIds).toEqual(expect.arrayContaining(item.sourceChunkIds));
+
+      const options = lowerCased([item.correct_answer, ...item.distractors]);
+      expect(item.distractors).toHaveLength(3);
+      expect(new Set(options).size).toBe(4);
+    }
+  });
+
+  test('flashcards answer with a term from the chunk they cite', async () => {
+    const { items } = await generateItems('flashcards', chunks, ['diabetes'], { count: 3 });
+
+    expect(items).toHaveLength(3);
+    for (const item of items) {
+      const cited = chunks.filter(({ id }) => item.sourceChunkIds.includes(id));
+      expect(cited).toHaveLength(1);
+      expect(cited[0].chunk_text).toContain(item.back);
+      expect(item.front).toContain('_____');
+    }
+  });
+});